@@ -8,7 +8,7 @@
  * @since   5.0.0
  */
 
-/* global jQuery, liteStatsProAdmin, LiteStatsMathEngine, LiteStatsState, LiteStatsGridUI, LiteStatsCsvWizard, LiteStatsConditionalFormat, Chart */
+/* global jQuery, liteStatsProAdmin, LiteStatsMathEngine, LiteStatsState, LiteStatsGridUI, LiteStatsGridNav, LiteStatsGridClipboard, LiteStatsGridFill, LiteStatsCsvWizard, LiteStatsConditionalFormat, Chart */
 
 (function($, window) {
     'use strict';
@@ -43,9 +43,7 @@
         init: function() {
             this.initState();
 
-            if (window.LiteStatsMathEngine) {
-                window.LiteStatsMathEngine.recalcAll(this.app);
-            }
+            var cycles = window.LiteStatsMathEngine ? window.LiteStatsMathEngine.recalcAll(this.app) : [];
 
             if (window.LiteStatsState) {
                 window.LiteStatsState.saveState(this.app);
@@ -59,6 +57,8 @@
             this.syncTableSettingsUI();
             this.syncChartPolishUI();
             this.renderCondRules();
+            // A chart saved with a circular reference explains its #CYCLE cells.
+            this.warnCycles(cycles);
         },
 
         /**
@@ -84,38 +84,9 @@
                 };
             }
 
-            this.migrateOldFormulas();
             this.syncSettingsUI();
         },
 
-        migrateOldFormulas: function() {
-            var cols = this.app.cols;
-            var colToLetter = window.LiteStatsColToLetter;
-            if (!colToLetter) return;
-
-            var idMap = {};
-            cols.forEach(function(col, idx) {
-                if (col.id) {
-                    idMap[col.id] = colToLetter(idx);
-                }
-            });
-
-            cols.forEach(function(col) {
-                if (col.type === 'formula' && col.formula) {
-                    var changed = false;
-                    var f = col.formula;
-                    Object.keys(idMap).forEach(function(id) {
-                        var regex = new RegExp('\\{' + id + '\\}', 'g');
-                        if (regex.test(f)) {
-                            f = f.replace(regex, idMap[id]);
-                            changed = true;
-                        }
-                    });
-                    if (changed) col.formula = f;
-                }
-            });
-        },
-
         getDefaultCols: function() {
             return [
                 { id: 'c1', name: 'Product', type: 'string', width: 150, props: {} },
@@ -145,11 +116,15 @@
                 yAxisLabel: '',
                 showLegend: true,
                 showDataLabels: false,
+                dataLabelPosition: 'end',
                 seriesColors: {},
                 tableRowsPerPage: 25,
                 tableShowSearch: true,
                 tableShowExport: true,
                 tableStriped: true,
+                showFooter: false,
+                tableColumnFilters: false,
+                tableDefaultSort: [],
                 conditionalRules: [],
                 fillArea: false,
                 lineTension: 0.4,
@@ -184,9 +159,10 @@
             $('#importCsvBtn').on('click', function() {
                 if (window.LiteStatsCsvWizard) {
                     window.LiteStatsCsvWizard.open(function(result) {
-                        self.saveState();
+                        self.saveState(self.importLabel(result.fileName));
                         self.app.cols = result.cols;
                         self.app.rows = result.rows;
+                        window.LiteStatsMathEngine.recalcAll(self.app);
                         self.renderGrid();
                         self.updateChartConfigUI();
                         self.showToast(liteStatsProAdmin.strings.csvImported);
@@ -229,13 +205,72 @@
             $('#colPrecision').on('change', function() { self.updateColMeta('precision', this.value); });
             $('#colIsPercent').on('change', function() { self.updateColMeta('isPercent', this.checked); });
 
+            // Keyboard navigation in the grid
+            if (window.LiteStatsGridNav) {
+                window.LiteStatsGridNav.init(document.getElementById('mainGrid'), {
+                    onClearCells: function(cells) {
+                        self.updateCells(cells.map(function(cell) {
+                            return { row: cell.row, col: cell.col, value: '' };
+                        }), self.historyLabel('historyClear', cells.length));
+                    }
+                });
+            }
+
+            // Copy/paste of cell blocks
+            if (window.LiteStatsGridClipboard) {
+                window.LiteStatsGridClipboard.init(document.getElementById('mainGrid'), {
+                    onPaste: function(row, col, values) { self.pasteCells(row, col, values); }
+                });
+            }
+
+            // Fill handle
+            if (window.LiteStatsGridFill) {
+                window.LiteStatsGridFill.init(document.getElementById('mainGrid'), {
+                    onFill: function(changes) {
+                        self.updateCells(changes, self.historyLabel('historyFill', changes.length));
+                    }
+                });
+            }
+
+            // History sidebar and named snapshots
+            if (window.LiteStatsHistoryPanel) {
+                var strings = liteStatsProAdmin.strings;
+                window.LiteStatsHistoryPanel.init(document.getElementById('historyPanel'), {
+                    chartId: liteStatsProAdmin.chartId,
+                    strings: {
+                        start: strings.historyStart,
+                        trimmed: strings.historyTrimmed,
+                        unlabeled: strings.historyUnlabeled,
+                        untitledSnapshot: strings.untitledSnapshot,
+                        deleteSnapshot: strings.deleteSnapshot
+                    },
+                    onJump: function(position) { self.jumpTo(position); },
+                    onRestore: function(snapshot) { self.restoreSnapshot(snapshot); },
+                    onStorageFull: function() { self.showToast(strings.snapshotStorageFull, false); }
+                });
+            }
+            $('#historyBtn, #closeHistoryBtn').on('click', function() {
+                if (window.LiteStatsHistoryPanel) window.LiteStatsHistoryPanel.toggle();
+            });
+
             // Formula input
+            if (window.LiteStatsFormulaBar) {
+                window.LiteStatsFormulaBar.init(document.getElementById('formulaInput'), {
+                    listEl: document.getElementById('formulaAutocomplete'),
+                    hintEl: document.getElementById('formulaSignature'),
+                    errorEl: document.getElementById('formulaError'),
+                    columns: function() { return self.app.cols; },
+                    strings: { errorAt: liteStatsProAdmin.strings.formulaErrorAt }
+                });
+            }
+
             $('#formulaInput').on('change', function() {
                 if (self.app.selectedCol !== null && self.app.cols[self.app.selectedCol].type === 'formula') {
-                    self.saveState();
-                    self.app.cols[self.app.selectedCol].formula = this.value;
-                    window.LiteStatsMathEngine.recalcAll(self.app);
+                    self.saveState(self.historyLabel('historyEditFormula', self.app.cols[self.app.selectedCol].name));
+                    self.app.cols[self.app.selectedCol].formula = window.LiteStatsMathEngine.toStoredFormula(this.value, self.app.cols);
+                    var cycles = window.LiteStatsMathEngine.recalcAll(self.app);
                     self.renderGrid();
+                    self.warnCycles(cycles);
                 }
             });
 
@@ -283,6 +318,11 @@
             });
             $('#showDataLabels').on('change', function() {
                 self.app.settings.showDataLabels = this.checked;
+                $('#dataLabelOptions').toggle(this.checked);
+                self.updateChartRender();
+            });
+            $('#dataLabelPosition').on('change', function() {
+                self.app.settings.dataLabelPosition = this.value;
                 self.updateChartRender();
             });
 
@@ -322,6 +362,22 @@
             $('#tableShowSearch').on('change', function() { self.app.settings.tableShowSearch = this.checked; });
             $('#tableShowExport').on('change', function() { self.app.settings.tableShowExport = this.checked; });
             $('#tableStriped').on('change', function() { self.app.settings.tableStriped = this.checked; });
+            $('#tableColumnFilters').on('change', function() { self.app.settings.tableColumnFilters = this.checked; });
+            $('#showFooter').on('change', function() {
+                self.app.settings.showFooter = this.checked;
+                self.renderGrid();
+            });
+
+            // Totals row aggregate of the selected column
+            $('#colFooter, #colFooterFormula').on('change', function() { self.updateColFooter(); });
+
+            // Default table sort
+            $('#addDefaultSortBtn').on('click', function() { self.addDefaultSort(); });
+            $(document).on('change', '.sort-level-row select', function() { self.syncDefaultSort(); });
+            $(document).on('click', '.sort-delete-level', function() {
+                self.app.settings.tableDefaultSort.splice(parseInt($(this).data('level-idx'), 10), 1);
+                self.renderDefaultSort();
+            });
 
             // Conditional formatting
             $('#addCondRuleBtn').on('click', function() { self.addCondRule(); });
@@ -333,6 +389,14 @@
                 self.renderGrid();
             });
 
+            // Settings changes become undo steps, labeled by the card they are made in.
+            var previewPanel = document.querySelector('.litestats-preview-panel');
+            if (previewPanel) {
+                ['input', 'change', 'click'].forEach(function(type) {
+                    previewPanel.addEventListener(type, function(e) { self.onSettingsEdit(e); }, true);
+                });
+            }
+
             // Keyboard shortcuts
             $(document).on('keydown', function(e) {
                 // Only on editor pages
@@ -353,13 +417,53 @@
             });
         },
 
-        saveState: function() {
+        /**
+         * Start an undo step; what changes until the next one is undone together.
+         *
+         * @param {string} label - What the step does, shown in the history.
+         */
+        saveState: function(label) {
             if (window.LiteStatsState) {
-                window.LiteStatsState.saveState(this.app);
+                window.LiteStatsState.saveState(this.app, label);
             }
+            this.settingsInput = null;
             this.updateStatus();
         },
 
+        /**
+         * Translated history label, with its placeholder filled in.
+         */
+        historyLabel: function(key, arg) {
+            var text = liteStatsProAdmin.strings[key] || '';
+            // A function keeps "$" in names from being read as a replacement pattern.
+            return arg === undefined ? text : text.replace(/%[sd]/, function() { return arg; });
+        },
+
+        importLabel: function(fileName) {
+            return fileName ? this.historyLabel('historyImportFile', fileName) : this.historyLabel('historyImport');
+        },
+
+        /**
+         * Capture-phase handler for the settings panel: start an undo step
+         * before a handler changes the settings. Typing into one field is a
+         * single step, up to its change event.
+         */
+        onSettingsEdit: function(e) {
+            var target = e.target;
+            if (e.type === 'click' && !$(target).closest('button').length) return;
+            if (e.type !== 'click' && target === this.settingsInput) {
+                if (e.type === 'change') this.settingsInput = null;
+                return;
+            }
+
+            var key = 'historyChartSettings';
+            if ($(target).closest('#tableSettingsCard').length) key = 'historyTableSettings';
+            if ($(target).closest('#conditionalFormatCard').length) key = 'historyCondRules';
+            this.saveState(this.historyLabel(key));
+
+            if (e.type === 'input') this.settingsInput = target;
+        },
+
         renderGrid: function() {
             var self = this;
 
@@ -372,7 +476,13 @@
                     onDelRow: function(idx) { self.delRow(idx); },
                     onCellChange: function(rIdx, cIdx, val) { self.updateCell(rIdx, cIdx, val); },
                     onColumnTypeChange: function(idx, newType) { self.updateColumnType(idx, newType); },
-                    onReorder: function() { self.renderGrid(); },
+                    onBeforeReorder: function(from) {
+                        self.saveState(self.historyLabel('historyMoveRow', from + 1));
+                    },
+                    onReorder: function() {
+                        window.LiteStatsMathEngine.recalcAll(self.app);
+                        self.renderGrid();
+                    },
                     onRenderComplete: function() {
                         self.updateStatus();
                         self.updateChartRender();
@@ -382,12 +492,22 @@
         },
 
         updateStatus: function() {
+            // Record the step in progress so the count and button titles include it.
+            if (window.LiteStatsState) {
+                window.LiteStatsState.commit(this.app);
+            }
             var historyInfo = window.LiteStatsState ? window.LiteStatsState.getHistoryInfo() : { undoCount: 0 };
+            var strings = liteStatsProAdmin.strings;
             $('#statusBar').text(
                 'Rows: ' + this.app.rows.length +
                 ' | Cols: ' + this.app.cols.length +
                 ' | History: ' + historyInfo.undoCount
             );
+            if (window.LiteStatsHistoryPanel) {
+                window.LiteStatsHistoryPanel.render();
+            }
+            $('#undoBtn').attr('title', historyInfo.undoLabel ? this.historyLabel('undoAction', historyInfo.undoLabel) : strings.undoTitle);
+            $('#redoBtn').attr('title', historyInfo.redoLabel ? this.historyLabel('redoAction', historyInfo.redoLabel) : strings.redoTitle);
         },
 
         selectColumn: function(idx) {
@@ -401,6 +521,13 @@
             $('#colSuffix').val(col.props.suffix || '');
             $('#colPrecision').val(col.props.precision !== undefined ? col.props.precision : 0);
 
+            var footer = col.props.footer || '';
+            var isFooterFormula = footer.charAt(0) === '=';
+            $('#colFooter').val(isFooterFormula ? 'formula' : footer);
+            $('#colFooterFormula')
+                .val(isFooterFormula ? window.LiteStatsMathEngine.toDisplayFormula(footer, this.app.cols) : '')
+                .prop('disabled', !isFooterFormula);
+
             if (col.type === 'formula') {
                 $('#formulaPercentOption').show();
                 $('#colIsPercent').prop('checked', col.props.isPercent || false);
@@ -412,9 +539,9 @@
             var colToLetter = window.LiteStatsColToLetter;
             var letter = colToLetter ? colToLetter(idx) : '?';
             if (col.type === 'formula') {
-                fInput.val(col.formula);
+                fInput.val(window.LiteStatsMathEngine.toDisplayFormula(col.formula, this.app.cols));
                 fInput.prop('disabled', false);
-                fInput.attr('placeholder', 'e.g. =B+C, =SUM(B), =B1*5%');
+                fInput.attr('placeholder', 'e.g. =B+C, =[2024 Sales]-[2023 Sales], =SUM(B), =B1*5%');
                 fInput.focus();
             } else {
                 fInput.val('Column ' + letter + ' (' + col.name + ')');
@@ -424,26 +551,79 @@
 
         undo: function() {
             var self = this;
-            if (window.LiteStatsState && window.LiteStatsState.undo(this.app, function() {
-                self.renderGrid();
-                self.updateChartConfigUI();
+            var strings = liteStatsProAdmin.strings;
+            if (window.LiteStatsState && window.LiteStatsState.undo(this.app, function(label) {
+                self.refreshFromState();
+                self.showToast(label ? self.historyLabel('undoneAction', label) : strings.undoSuccess);
             })) {
-                this.showToast(liteStatsProAdmin.strings.undoSuccess);
+                this.updateStatus();
             }
         },
 
         redo: function() {
             var self = this;
-            if (window.LiteStatsState && window.LiteStatsState.redo(this.app, function() {
-                self.renderGrid();
-                self.updateChartConfigUI();
+            var strings = liteStatsProAdmin.strings;
+            if (window.LiteStatsState && window.LiteStatsState.redo(this.app, function(label) {
+                self.refreshFromState();
+                self.showToast(label ? self.historyLabel('redoneAction', label) : strings.redoSuccess);
             })) {
-                this.showToast(liteStatsProAdmin.strings.redoSuccess);
+                this.updateStatus();
+            }
+        },
+
+        /**
+         * Go back or forward to a point in the history panel.
+         *
+         * @param {number} position - Number of history entries applied.
+         */
+        jumpTo: function(position) {
+            var self = this;
+            if (window.LiteStatsState && window.LiteStatsState.goTo(this.app, position, function() {
+                self.refreshFromState();
+            })) {
+                this.updateStatus();
+            }
+        },
+
+        /**
+         * Bring back a named snapshot, as an undoable step.
+         *
+         * @param {Object} snapshot - { name, cols, rows, settings }
+         */
+        restoreSnapshot: function(snapshot) {
+            if (!snapshot) return;
+            var label = this.historyLabel('historyRestore', snapshot.name);
+            this.saveState(label);
+
+            var copy = JSON.parse(JSON.stringify(snapshot));
+            this.app.cols = copy.cols;
+            this.app.rows = copy.rows;
+            this.app.settings = $.extend({}, this.getDefaultSettings(), copy.settings);
+            window.LiteStatsMathEngine.recalcAll(this.app);
+
+            this.refreshFromState();
+            this.showToast(label);
+        },
+
+        /**
+         * Redraw everything after undo/redo replaced the columns, rows or settings.
+         */
+        refreshFromState: function() {
+            this.settingsInput = null;
+            // Chart type and theme are read back from their selects when rendering.
+            this.syncSettingsUI();
+            this.syncTableSettingsUI();
+            this.syncChartPolishUI();
+            this.renderCondRules();
+            this.updateChartConfigUI();
+            if (this.app.selectedCol !== null && this.app.selectedCol >= this.app.cols.length) {
+                this.selectColumn(this.app.cols.length - 1);
             }
+            this.renderGrid();
         },
 
         addRow: function() {
-            this.saveState();
+            this.saveState(this.historyLabel('historyAddRow'));
             var newRow = this.app.cols.map(function(c) {
                 if (c.type === 'number' || c.type === 'currency' || c.type === 'percentage') return 0;
                 return '';
@@ -457,7 +637,7 @@
          * Add a column with specific type.
          */
         addColWithType: function(type) {
-            this.saveState();
+            this.saveState(this.historyLabel('historyAddCol'));
             var newId = 'c' + Date.now();
             var col = { id: newId, name: 'New', type: type, width: 100, props: {} };
 
@@ -490,8 +670,9 @@
         },
 
         delRow: function(idx) {
-            this.saveState();
+            this.saveState(this.historyLabel('historyDelRow', idx + 1));
             this.app.rows.splice(idx, 1);
+            window.LiteStatsMathEngine.recalcAll(this.app);
             this.renderGrid();
         },
 
@@ -499,23 +680,118 @@
             if (this.app.cols.length <= 1) {
                 return this.showToast(liteStatsProAdmin.strings.cannotDelete, false);
             }
-            this.saveState();
+            this.saveState(this.historyLabel('historyDelCol', this.app.cols[idx].name));
             this.app.cols.splice(idx, 1);
             this.app.rows.forEach(function(r) { r.splice(idx, 1); });
+
+            var map = [];
+            for (var c = 0; c <= this.app.cols.length; c++) {
+                map.push(c < idx ? c : (c === idx ? -1 : c - 1));
+            }
+            this.remapFormulas(map);
+            this.remapDefaultSort(map);
+            window.LiteStatsMathEngine.recalcAll(this.app);
+
             this.renderGrid();
             this.updateChartConfigUI();
         },
 
+        /**
+         * Rewrite the letter references in formula columns after columns
+         * moved or were deleted.
+         *
+         * @param {Array} map - Old column index → new index, or -1 when deleted.
+         */
+        remapFormulas: function(map) {
+            this.app.cols.forEach(function(col) {
+                if (col.type === 'formula' && col.formula) {
+                    col.formula = window.LiteStatsMathEngine.remapColumns(col.formula, map);
+                }
+                if (col.props && col.props.footer && col.props.footer.charAt(0) === '=') {
+                    col.props.footer = window.LiteStatsMathEngine.remapColumns(col.props.footer, map);
+                }
+            });
+        },
+
+        /**
+         * Follow moved columns in the default sort and drop deleted ones.
+         *
+         * @param {Array} map - Old column index → new index, or -1 when deleted.
+         */
+        remapDefaultSort: function(map) {
+            var levels = this.app.settings.tableDefaultSort || [];
+            this.app.settings.tableDefaultSort = levels.map(function(level) {
+                var col = map[level.col] === undefined ? level.col : map[level.col];
+                return { col: col, dir: level.dir };
+            }).filter(function(level) { return level.col >= 0; });
+            this.renderDefaultSort();
+        },
+
         updateCell: function(rIdx, cIdx, val) {
+            var colToLetter = window.LiteStatsColToLetter;
+            this.saveState(this.historyLabel('historyEditCell', (colToLetter ? colToLetter(cIdx) : '') + (rIdx + 1)));
             this.app.rows[rIdx][cIdx] = val;
-            window.LiteStatsMathEngine.recalcAll(this.app);
+            var changed = window.LiteStatsMathEngine.recalcDirty(this.app, [{ row: rIdx, col: cIdx }]);
+            if (window.LiteStatsGridUI) {
+                window.LiteStatsGridUI.refreshCells(this.app, changed);
+            }
+            this.updateChartRender();
+            this.updateStatus();
+        },
+
+        /**
+         * Set several cells at once, as one undo step.
+         *
+         * @param {Array} changes - [{ row, col, value }]
+         * @param {string} label - History label of the step.
+         */
+        updateCells: function(changes, label) {
+            var self = this;
+            if (!changes.length) return;
+            this.saveState(label);
+
+            changes.forEach(function(change) {
+                self.app.rows[change.row][change.col] = change.value;
+            });
+            var changed = window.LiteStatsMathEngine.recalcDirty(this.app, changes);
+            if (window.LiteStatsGridUI) {
+                window.LiteStatsGridUI.refreshCells(this.app, changes.concat(changed));
+            }
             this.updateChartRender();
+            this.updateStatus();
+        },
+
+        /**
+         * Paste a block of values at a cell, as one undo step, and select it.
+         *
+         * @param {Array} values - Rows of cell strings.
+         */
+        pasteCells: function(row, col, values) {
+            var count = 0;
+            values.forEach(function(line) { count += line.length; });
+            this.saveState(this.historyLabel('historyPaste', count));
+            var added = window.LiteStatsGridClipboard.apply(this.app, row, col, values);
+            window.LiteStatsMathEngine.recalcAll(this.app);
+
+            if (window.LiteStatsGridNav) {
+                var width = 0;
+                values.forEach(function(line) { width = Math.max(width, line.length); });
+                window.LiteStatsGridNav.select(row, col, false);
+                window.LiteStatsGridNav.select(row + values.length - 1, col + width - 1, true);
+            }
+
+            this.renderGrid();
+            if (added.addedCols) {
+                this.updateChartConfigUI();
+            }
         },
 
         updateHeader: function(cIdx, val) {
+            this.saveState(this.historyLabel('historyRenameCol', this.app.cols[cIdx].name));
             this.app.cols[cIdx].name = val;
             this.updateChartRender();
             this.updateChartConfigUI();
+            this.renderDefaultSort();
         },
 
         updateColumnType: function(colIdx, newType) {
@@ -523,7 +799,7 @@
             var col = this.app.cols[colIdx];
             if (col.type === 'formula') return;
 
-            this.saveState();
+            this.saveState(this.historyLabel('historyColType', col.name));
             col.type = newType;
 
             // Reset props for new type
@@ -535,13 +811,15 @@
                 col.props.precision = col.props.precision || '1';
             }
 
+            // Formulas read date columns as dates, other columns as numbers or text.
+            window.LiteStatsMathEngine.recalcAll(this.app);
             this.renderGrid();
         },
 
         moveCol: function(idx, dir) {
             var target = idx + dir;
             if (target < 0 || target >= this.app.cols.length) return;
-            this.saveState();
+            this.saveState(this.historyLabel('historyMoveCol', this.app.cols[idx].name));
 
             var temp = this.app.cols[idx];
             this.app.cols[idx] = this.app.cols[target];
@@ -553,12 +831,19 @@
                 row[target] = temp;
             });
 
+            var map = [];
+            map[idx] = target;
+            map[target] = idx;
+            this.remapFormulas(map);
+            this.remapDefaultSort(map);
+            window.LiteStatsMathEngine.recalcAll(this.app);
+
             this.renderGrid();
             this.updateChartConfigUI();
         },
 
         transposeTable: function() {
-            this.saveState();
+            this.saveState(this.historyLabel('historyTranspose'));
 
             var newRows = [];
             var newCols = [{ id: 'c_t_0', name: this.app.cols[0].name, type: 'string', props: {} }];
@@ -591,12 +876,35 @@
             if (this.app.selectedCol === null) {
                 return this.showToast(liteStatsProAdmin.strings.selectColumn, false);
             }
-            this.saveState();
+            this.saveState(this.historyLabel('historyFormatCol', this.app.cols[this.app.selectedCol].name));
             this.app.cols[this.app.selectedCol].props[key] = val;
             this.renderGrid();
         },
 
+        /**
+         * Apply the totals row aggregate picked for the selected column.
+         */
+        updateColFooter: function() {
+            var kind = $('#colFooter').val();
+            var formulaInput = $('#colFooterFormula');
+            formulaInput.prop('disabled', kind !== 'formula');
+
+            if (kind === 'formula') {
+                var formula = $.trim(formulaInput.val());
+                if (!formula) {
+                    formulaInput.focus();
+                    return;
+                }
+                if (formula.charAt(0) !== '=') formula = '=' + formula;
+                kind = window.LiteStatsMathEngine.toStoredFormula(formula, this.app.cols);
+            }
+            this.updateColMeta('footer', kind);
+        },
+
         setView: function(v) {
+            if (this.app.settings.view !== v) {
+                this.saveState(this.historyLabel(v === 'table' ? 'historyViewTable' : 'historyViewChart'));
+            }
             this.app.settings.view = v;
             $('#viewChart').toggleClass('active', v === 'chart');
             $('#viewTable').toggleClass('active', v === 'table');
@@ -604,6 +912,7 @@
         },
 
         toggleStack: function() {
+            this.saveState(this.historyLabel(this.app.settings.stacked ? 'historyStackOff' : 'historyStackOn'));
             this.app.settings.stacked = !this.app.settings.stacked;
             this.updateChartRender();
             this.showToast(this.app.settings.stacked ? liteStatsProAdmin.strings.stackingOn : liteStatsProAdmin.strings.stackingOff);
@@ -641,6 +950,65 @@
             $('#tableShowSearch').prop('checked', s.tableShowSearch);
             $('#tableShowExport').prop('checked', s.tableShowExport);
             $('#tableStriped').prop('checked', s.tableStriped);
+            $('#showFooter').prop('checked', !!s.showFooter);
+            $('#tableColumnFilters').prop('checked', !!s.tableColumnFilters);
+            this.renderDefaultSort();
+        },
+
+        /**
+         * Default sort: add a level on the first column not sorted yet.
+         */
+        addDefaultSort: function() {
+            var levels = this.app.settings.tableDefaultSort = this.app.settings.tableDefaultSort || [];
+            var used = levels.map(function(level) { return level.col; });
+            for (var c = 0; c < this.app.cols.length; c++) {
+                if (used.indexOf(c) === -1) {
+                    levels.push({ col: c, dir: 'asc' });
+                    break;
+                }
+            }
+            this.renderDefaultSort();
+        },
+
+        /**
+         * Render the default sort levels (column + direction).
+         */
+        renderDefaultSort: function() {
+            var container = document.getElementById('defaultSortContainer');
+            if (!container) return;
+
+            var cols = this.app.cols;
+            var strings = liteStatsProAdmin.strings;
+            var html = '';
+            (this.app.settings.tableDefaultSort || []).forEach(function(level, i) {
+                html += '<div class="sort-level-row">';
+                html += '<select class="sort-col-select">';
+                cols.forEach(function(col, c) {
+                    html += '<option value="' + c + '"' + (level.col === c ? ' selected' : '') + '>' + col.name + '</option>';
+                });
+                html += '</select>';
+                html += '<select class="sort-dir-select">' +
+                    '<option value="asc">' + strings.ascending + '</option>' +
+                    '<option value="desc"' + (level.dir === 'desc' ? ' selected' : '') + '>' + strings.descending + '</option>' +
+                '</select>';
+                html += '<button class="btn btn-sm sort-delete-level" data-level-idx="' + i + '" title="Remove">&times;</button>';
+                html += '</div>';
+            });
+            container.innerHTML = html;
+        },
+
+        /**
+         * Sync default sort levels from UI to state.
+         */
+        syncDefaultSort: function() {
+            var levels = [];
+            document.querySelectorAll('.sort-level-row').forEach(function(row) {
+                levels.push({
+                    col: parseInt(row.querySelector('.sort-col-select').value, 10),
+                    dir: row.querySelector('.sort-dir-select').value
+                });
+            });
+            this.app.settings.tableDefaultSort = levels;
         },
 
         /**
@@ -673,6 +1041,8 @@
             $('#yAxisLabel').val(settings.yAxisLabel || '');
             $('#showLegend').prop('checked', settings.showLegend !== false);
             $('#showDataLabels').prop('checked', settings.showDataLabels || false);
+            $('#dataLabelPosition').val(settings.dataLabelPosition || 'end');
+            $('#dataLabelOptions').toggle(!!settings.showDataLabels);
 
             this.updateSeriesColors();
 
@@ -763,6 +1133,7 @@
 
             // Datasets
             var datasets = [];
+            var datasetCols = [];
             var colorIdx = 0;
 
             for (var di = 0; di < dataCols.length; di++) {
@@ -786,6 +1157,8 @@
                     label: col.name,
                     data: this.app.rows.map(function(r) {
                         var val = r[colIdx];
+                        // Formula errors are gaps in the chart, not zeros.
+                        if (LiteStatsMathEngine.errorCode(val)) return null;
                         if (typeof val === 'string') {
                             val = val.replace(/[$,%]/g, '');
                         }
@@ -797,6 +1170,7 @@
                     fill: (type === 'line') ? settings.fillArea : false,
                     tension: settings.lineTension || 0.4
                 });
+                datasetCols.push(col);
                 colorIdx++;
             }
 
@@ -811,14 +1185,17 @@
             }
 
             var isPie = settings.chartType === 'pie' || settings.chartType === 'doughnut';
+            var DataLabels = window.LiteStatsDataLabels;
 
             // Create new chart
             this.chart = new Chart(ctx, {
                 type: settings.chartType === 'combo' ? 'bar' : settings.chartType,
                 data: { labels: labels, datasets: datasets },
+                plugins: DataLabels ? [DataLabels.plugin] : [],
                 options: {
                     responsive: true,
                     maintainAspectRatio: false,
+                    layout: { padding: DataLabels ? DataLabels.padding(settings) : 0 },
                     scales: isPie ? {} : {
                         x: {
                             stacked: settings.stacked,
@@ -847,6 +1224,7 @@
                                 font: { size: 11 }
                             }
                         },
+                        litestatsDataLabels: DataLabels ? DataLabels.options(settings, datasetCols) : { display: false },
                         tooltip: {
                             callbacks: {
                                 label: function(context) {
@@ -903,6 +1281,7 @@
                 bHtml += '</tr>';
             });
             tbody.html(bHtml);
+            this.renderFrontendFooter(this.app.rows);
 
             thead.find('th').off('click').on('click', function() {
                 var idx = $(this).data('sortIdx');
@@ -910,16 +1289,41 @@
             });
         },
 
+        /**
+         * Totals row of the table preview, over the given (visible) rows.
+         */
+        renderFrontendFooter: function(rows) {
+            var tfoot = $('#feTfoot');
+            var GridUI = window.LiteStatsGridUI;
+            if (!this.app.settings.showFooter || !GridUI || !window.LiteStatsMathEngine) {
+                tfoot.empty();
+                return;
+            }
+
+            var cols = this.app.cols;
+            var fHtml = '<tr>';
+            cols.forEach(function(col, i) {
+                fHtml += '<td>' + GridUI.escapeHtml(GridUI.footerText(col.props && col.props.footer, rows, cols, i)) + '</td>';
+            });
+            tfoot.html(fHtml + '</tr>');
+        },
+
         filterFrontendTable: function() {
+            var self = this;
             var term = $('#feSearch').val().toLowerCase();
-            $('#feTbody tr').each(function() {
+            var visible = [];
+            $('#feTbody tr').each(function(i) {
                 var txt = $(this).text().toLowerCase();
-                $(this).toggle(txt.indexOf(term) !== -1);
+                var match = txt.indexOf(term) !== -1;
+                $(this).toggle(match);
+                if (match) visible.push(self.app.rows[i]);
             });
+            this.renderFrontendFooter(visible);
         },
 
         sortTable: function(n) {
             var self = this;
+            this.saveState(this.historyLabel('historySortRows', this.app.cols[n].name));
             this.app.rows.sort(function(a, b) {
                 var v1 = a[n], v2 = b[n];
                 if (self.app.cols[n].type === 'number' || self.app.cols[n].type === 'currency' || self.app.cols[n].type === 'percentage') {
@@ -927,7 +1331,9 @@
                 }
                 return v1.toString().localeCompare(v2);
             });
-            this.renderFrontendTable();
+            // Relative references (B[-1], PREV) now point at other rows.
+            window.LiteStatsMathEngine.recalcAll(this.app);
+            this.renderGrid();
         },
 
         triggerImport: function() {
@@ -941,7 +1347,7 @@
 
             var reader = new FileReader();
             reader.onload = function(evt) {
-                self.saveState();
+                self.saveState(self.importLabel(file.name));
 
                 var lines = evt.target.result.split('\n').filter(function(l) {
                     return l.trim();
@@ -961,6 +1367,7 @@
                     return l.split(',').map(function(v) { return v.trim(); });
                 });
 
+                window.LiteStatsMathEngine.recalcAll(self.app);
                 self.renderGrid();
                 self.updateChartConfigUI();
                 self.showToast(liteStatsProAdmin.strings.csvImported);
@@ -1084,6 +1491,11 @@
                             liteStatsProAdmin.nonce = response.data.nonce;
                         }
 
+                        // Saved work no longer needs its snapshots.
+                        if (window.LiteStatsHistoryPanel) {
+                            window.LiteStatsHistoryPanel.clearSnapshots(response.data.chart_id);
+                        }
+
                         if (!chartId && response.data.chart_id) {
                             liteStatsProAdmin.chartId = response.data.chart_id;
 
@@ -1111,6 +1523,19 @@
             });
         },
 
+        /**
+         * Warn about circular references found during recalculation.
+         *
+         * @param {Array} cycles - Cycles returned by LiteStatsMathEngine.recalcAll.
+         */
+        warnCycles: function(cycles) {
+            if (!cycles || !cycles.length || !window.LiteStatsMathEngine) return;
+            var names = cycles.map(function(cycle) {
+                return window.LiteStatsMathEngine.describeCycle(cycle);
+            }).join(', ');
+            this.showToast(liteStatsProAdmin.strings.circularRef.replace('%s', names), false);
+        },
+
         showToast: function(msg, success) {
             success = success !== false;
             var $toast = $('#toast');
@@ -8,7 +8,7 @@
  * @since   5.0.0
  */
 
-/* global liteStatsProFrontend, liteStatsFrontendCharts, Chart */
+/* global liteStatsProFrontend, liteStatsFrontendCharts, Chart, LiteStatsMathEngine, LiteStatsDataLabels */
 
 (function(window, document) {
     'use strict';
@@ -23,21 +23,42 @@
         'dark': ['#333333', '#555555', '#777777', '#999999', '#bbbbbb']
     };
 
+    /**
+     * Formula error codes, plus the codes older versions stored.
+     */
+    var ERROR_CODES = ['#DIV/0!', '#REF!', '#NAME?', '#VALUE!', '#N/A', '#CYCLE', '#ERROR!'];
+    var LEGACY_ERRORS = { '#DIV/0': '#DIV/0!', '#REF': '#REF!', '#VALUE': '#VALUE!', '#ERR': '#ERROR!' };
+
+    /**
+     * Error code held by a cell value, or null.
+     */
+    function errorCode(val) {
+        if (typeof val !== 'string' || val.charAt(0) !== '#') return null;
+        if (LEGACY_ERRORS[val]) return LEGACY_ERRORS[val];
+        return ERROR_CODES.indexOf(val) !== -1 ? val : null;
+    }
+
     /**
      * Format a value based on column properties.
      */
     function formatValue(val, col) {
+        var errCode = errorCode(val);
+        if (errCode) {
+            return '<span class="litestats-cell-error">' + escapeHtml(errCode) + '</span>';
+        }
+
         if (col.type === 'string') {
             return escapeHtml(val);
         }
 
-        // Date type
-        if (col.type === 'date') {
+        // Date type (formula columns hold dates as ISO strings)
+        if (col.type === 'date' || (col.type === 'formula' && /^\d{4}-\d{2}-\d{2}$/.test(val))) {
             if (!val || val === '') return '';
             try {
                 var d = new Date(val);
                 if (!isNaN(d.getTime())) {
-                    return d.toLocaleDateString();
+                    // Bare ISO dates parse as UTC midnight; format them in UTC so they do not shift a day.
+                    return /^\d{4}-\d{2}-\d{2}$/.test(val) ? d.toLocaleDateString(undefined, { timeZone: 'UTC' }) : d.toLocaleDateString();
                 }
             } catch(e) { /* fall through */ }
             return escapeHtml(val);
@@ -84,13 +105,70 @@
         return prefix + num + suffixStr;
     }
 
+    // Quotes included: the result also goes into attribute values (value="…", data-group="…").
     function escapeHtml(str) {
         if (typeof str !== 'string') return str;
         var div = document.createElement('div');
         div.textContent = str;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
+    /**
+     * View state of each chart instance in the URL hash, so a filtered,
+     * sorted or paged table (or a selected group) can be shared and the
+     * browser's back/forward buttons step through it:
+     * #ls12=<JSON>&ls15=<JSON>. Other hash content is left alone.
+     */
+    var urlState = {
+        parts: function() {
+            var hash = window.location.hash.replace(/^#/, '');
+            return hash ? hash.split('&') : [];
+        },
+
+        /**
+         * @param {string} key - Instance key (e.g. "ls12").
+         * @returns {Object} The saved state, or {}.
+         */
+        read: function(key) {
+            var prefix = key + '=';
+            var raw = null;
+            this.parts().forEach(function(part) {
+                if (part.indexOf(prefix) === 0) raw = part.substring(prefix.length);
+            });
+            if (!raw) return {};
+            try {
+                var state = JSON.parse(decodeURIComponent(raw));
+                return state && typeof state === 'object' ? state : {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        /**
+         * @param {string} key - Instance key.
+         * @param {Object} state - Empty values are left out.
+         * @param {boolean} push - Add a history entry (clicks) rather than
+         *                         replace the current one (typing, dragging).
+         */
+        write: function(key, state, push) {
+            var clean = {};
+            Object.keys(state).forEach(function(k) {
+                var v = state[k];
+                if (v === undefined || v === null || v === '' || (typeof v === 'object' && !Object.keys(v).length)) return;
+                clean[k] = v;
+            });
+
+            var prefix = key + '=';
+            var parts = this.parts().filter(function(part) { return part.indexOf(prefix) !== 0; });
+            if (Object.keys(clean).length) parts.push(prefix + encodeURIComponent(JSON.stringify(clean)));
+
+            var hash = parts.length ? '#' + parts.join('&') : '';
+            if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+            var url = window.location.pathname + window.location.search + hash;
+            window.history[push ? 'pushState' : 'replaceState'](null, '', url);
+        }
+    };
+
     /**
      * Get data column indices based on chart settings.
      */
@@ -162,6 +240,7 @@
                     var sum = 0;
                     groupRows.forEach(function(r) {
                         var v = r[ci];
+                        if (errorCode(v)) return;
                         if (typeof v === 'string') v = v.replace(/[$,%]/g, '');
                         sum += parseFloat(v) || 0;
                     });
@@ -176,6 +255,7 @@
         // Labels
         var labels = chartRows.map(function(r) { return r[labelCol]; });
         var datasets = [];
+        var datasetCols = [];
         var colorIdx = 0;
 
         for (var di = 0; di < dataCols.length; di++) {
@@ -198,6 +278,8 @@
                 label: col.name,
                 data: chartRows.map(function(r) {
                     var val = r[colIdx];
+                    // Formula errors are gaps in the chart, not zeros.
+                    if (errorCode(val)) return null;
                     if (typeof val === 'string') {
                         val = val.replace(/[$,%]/g, '');
                     }
@@ -209,6 +291,7 @@
                 fill: (type === 'line') ? (settings.fillArea || false) : false,
                 tension: settings.lineTension || 0.4
             });
+            datasetCols.push(col);
             colorIdx++;
         }
 
@@ -218,6 +301,7 @@
         }
 
         var isPie = settings.chartType === 'pie' || settings.chartType === 'doughnut';
+        var hasDataLabels = typeof LiteStatsDataLabels !== 'undefined';
 
         // Apply pie max width constraint
         if (isPie && settings.pieMaxWidth && settings.pieMaxWidth > 0) {
@@ -230,9 +314,11 @@
             new Chart(ctx, {
                 type: settings.chartType === 'combo' ? 'bar' : (settings.chartType || 'bar'),
                 data: { labels: labels, datasets: datasets },
+                plugins: hasDataLabels ? [LiteStatsDataLabels.plugin] : [],
                 options: {
                     responsive: true,
                     maintainAspectRatio: false,
+                    layout: { padding: hasDataLabels ? LiteStatsDataLabels.padding(settings) : 0 },
                     scales: isPie ? {} : {
                         x: {
                             stacked: settings.stacked || false,
@@ -261,6 +347,7 @@
                                 font: { size: 12 }
                             }
                         },
+                        litestatsDataLabels: hasDataLabels ? LiteStatsDataLabels.options(settings, datasetCols) : { display: false },
                         tooltip: {
                             callbacks: {
                                 label: function(context) {
@@ -313,43 +400,283 @@
         var table = tableWrapper.querySelector('.litestats-table');
         var thead = table.querySelector('thead');
         var tbody = table.querySelector('tbody');
+        var tfoot = table.querySelector('tfoot');
         var paginationEl = tableWrapper.querySelector('.litestats-pagination');
 
         // State
         var currentPage = 1;
         var rowsPerPage = settings.tableRowsPerPage || 25;
-        var sortCol = -1;
-        var sortAsc = true;
+        var sortKeys = parseSortKeys(settings.tableDefaultSort);
         var searchTerm = '';
         var columnFilters = {};
+        var filterCells = {};
         var filteredRows = allRows.slice();
+        var stateKey = chartData.stateKey;
 
         // Render headers
         function renderHeaders() {
             var hHtml = '<tr>';
             cols.forEach(function(col, i) {
-                hHtml += '<th data-sort-idx="' + i + '">' + escapeHtml(col.name) + ' <span class="sort-icon">\u2195</span></th>';
+                hHtml += '<th data-sort-idx="' + i + '">' + escapeHtml(col.name) +
+                    ' <span class="sort-icon">\u2195</span><span class="sort-priority"></span></th>';
             });
             thead.innerHTML = hHtml + '</tr>';
 
-            thead.querySelectorAll('th').forEach(function(th) {
-                th.addEventListener('click', function() {
-                    var idx = parseInt(this.dataset.sortIdx, 10);
-                    if (sortCol === idx) {
-                        sortAsc = !sortAsc;
-                    } else {
-                        sortCol = idx;
-                        sortAsc = true;
-                    }
+            thead.querySelectorAll('th[data-sort-idx]').forEach(function(th) {
+                th.addEventListener('click', function(e) {
+                    toggleSort(parseInt(this.dataset.sortIdx, 10), e.shiftKey);
+                    applyFilters();
                     applySort();
                     renderBody();
                     renderPagination();
+                    renderSortIndicators();
+                    saveState(true);
+                });
+            });
+            renderSortIndicators();
+        }
+
+        /**
+         * Click sorts by that column alone, or flips its direction when it
+         * already is the only sort column. Shift-click adds the column as the
+         * next sort level; on a column already sorted it goes ascending →
+         * descending → removed.
+         */
+        function toggleSort(idx, additive) {
+            var pos = -1;
+            sortKeys.forEach(function(key, k) { if (key.col === idx) pos = k; });
+
+            if (!additive) {
+                var asc = pos === 0 && sortKeys.length === 1 ? !sortKeys[0].asc : true;
+                sortKeys = [{ col: idx, asc: asc }];
+            } else if (pos === -1) {
+                sortKeys.push({ col: idx, asc: true });
+            } else if (sortKeys[pos].asc) {
+                sortKeys[pos].asc = false;
+            } else {
+                sortKeys.splice(pos, 1);
+            }
+        }
+
+        // Direction arrow and, with several sort columns, the priority number
+        function renderSortIndicators() {
+            thead.querySelectorAll('th[data-sort-idx]').forEach(function(th) {
+                var idx = parseInt(th.dataset.sortIdx, 10);
+                var pos = -1;
+                sortKeys.forEach(function(key, k) { if (key.col === idx) pos = k; });
+                var key = sortKeys[pos];
+
+                th.classList.toggle('sorted', !!key);
+                th.setAttribute('aria-sort', key ? (key.asc ? 'ascending' : 'descending') : 'none');
+                th.querySelector('.sort-icon').textContent = key ? (key.asc ? '\u2191' : '\u2193') : '\u2195';
+                th.querySelector('.sort-priority').textContent = key && sortKeys.length > 1 ? String(pos + 1) : '';
+            });
+        }
+
+        // Column filters: numeric range, date range, multi-select or text
+        var MULTI_SELECT_MAX = 12;
+
+        function cellNumber(val) {
+            if (errorCode(val) || val === '' || val === null || val === undefined) return null;
+            if (typeof val === 'string') val = val.replace(/[$\u20ac\u00a3\u00a5\u20b9,%\s]/g, '');
+            var n = parseFloat(val);
+            return isNaN(n) ? null : n;
+        }
+
+        // Day of a date cell as YYYY-MM-DD, or null
+        function cellDay(val) {
+            if (!val || errorCode(val)) return null;
+            if (/^\d{4}-\d{2}-\d{2}/.test(val)) return String(val).substring(0, 10);
+            var d = new Date(val);
+            if (isNaN(d.getTime())) return null;
+            return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2) + '-' + ('0' + d.getDate()).slice(-2);
+        }
+
+        function distinctValues(colIdx) {
+            var seen = {};
+            var values = [];
+            allRows.forEach(function(row) {
+                var v = row[colIdx];
+                if (v === '' || v === null || v === undefined) return;
+                v = String(v);
+                if (!seen[v]) {
+                    seen[v] = true;
+                    values.push(v);
+                }
+            });
+            return values.sort(function(a, b) { return a.localeCompare(b); });
+        }
+
+        // Which control a column gets: 'range', 'date', 'set' or 'text'
+        function filterKind(col, colIdx) {
+            if (col.type === 'number' || col.type === 'currency' || col.type === 'percentage') return 'range';
+            if (col.type === 'date') return 'date';
+
+            var values = distinctValues(colIdx);
+            if (col.type === 'formula' && values.length) {
+                if (values.every(function(v) { return cellNumber(v) !== null; })) return 'range';
+                if (values.every(function(v) { return /^\d{4}-\d{2}-\d{2}$/.test(v); })) return 'date';
+            }
+            if (values.length && values.length <= MULTI_SELECT_MAX && values.length < allRows.length) return 'set';
+            return 'text';
+        }
+
+        function filterControlHtml(col, colIdx, kind, strings) {
+            if (kind === 'range') {
+                var nums = allRows.map(function(row) { return cellNumber(row[colIdx]); }).filter(function(n) { return n !== null; });
+                if (nums.length < 2) return '';
+                var min = Math.min.apply(null, nums);
+                var max = Math.max.apply(null, nums);
+                if (min === max) return '';
+                var step = nums.every(function(n) { return n % 1 === 0; }) ? 1 : (max - min) / 100;
+                var attrs = ' min="' + min + '" max="' + max + '" step="' + step + '"';
+                return '<div class="litestats-filter-range">' +
+                    '<input type="range" class="litestats-filter-min"' + attrs + ' value="' + min + '" aria-label="' + escapeHtml(strings.min || 'Min') + '">' +
+                    '<input type="range" class="litestats-filter-max"' + attrs + ' value="' + max + '" aria-label="' + escapeHtml(strings.max || 'Max') + '">' +
+                    '<span class="litestats-filter-range-label">' + formatValue(min, col) + ' \u2013 ' + formatValue(max, col) + '</span>' +
+                '</div>';
+            }
+            if (kind === 'date') {
+                var days = allRows.map(function(row) { return cellDay(row[colIdx]); }).filter(Boolean).sort();
+                var bounds = days.length ? ' min="' + days[0] + '" max="' + days[days.length - 1] + '"' : '';
+                return '<div class="litestats-filter-dates">' +
+                    '<input type="date" class="litestats-filter-from"' + bounds + ' aria-label="' + escapeHtml(strings.from || 'From') + '">' +
+                    '<input type="date" class="litestats-filter-to"' + bounds + ' aria-label="' + escapeHtml(strings.to || 'To') + '">' +
+                '</div>';
+            }
+            if (kind === 'set') {
+                var html = '<details class="litestats-filter-set"><summary>' + escapeHtml(strings.all || 'All') + '</summary><div class="litestats-filter-options">';
+                distinctValues(colIdx).forEach(function(v) {
+                    html += '<label><input type="checkbox" value="' + escapeHtml(v) + '" checked> ' + escapeHtml(v) + '</label>';
+                });
+                return html + '</div></details>';
+            }
+            return '<div class="litestats-filter-text-wrap">' +
+                '<select class="litestats-filter-mode">' +
+                    '<option value="contains">' + escapeHtml(strings.contains || 'Contains') + '</option>' +
+                    '<option value="equals">' + escapeHtml(strings.equals || 'Equals') + '</option>' +
+                '</select>' +
+                '<input type="text" class="litestats-filter-text" placeholder="' + escapeHtml(strings.filter || 'Filter...') + '">' +
+            '</div>';
+        }
+
+        // Read a column's filter from its control; null when it lets everything through
+        function readFilter(cell, kind, col) {
+            if (kind === 'range') {
+                var minInput = cell.querySelector('.litestats-filter-min');
+                var maxInput = cell.querySelector('.litestats-filter-max');
+                if (!minInput) return null;
+                var lo = parseFloat(minInput.value);
+                var hi = parseFloat(maxInput.value);
+                if (lo > hi) {
+                    // Keep the handles from crossing.
+                    if (document.activeElement === minInput) { maxInput.value = lo; hi = lo; } else { minInput.value = hi; lo = hi; }
+                }
+                cell.querySelector('.litestats-filter-range-label').innerHTML = formatValue(lo, col) + ' \u2013 ' + formatValue(hi, col);
+                if (lo <= parseFloat(minInput.min) && hi >= parseFloat(maxInput.max)) return null;
+                return { kind: kind, min: lo, max: hi };
+            }
+            if (kind === 'date') {
+                var from = cell.querySelector('.litestats-filter-from').value;
+                var to = cell.querySelector('.litestats-filter-to').value;
+                return from || to ? { kind: kind, from: from, to: to } : null;
+            }
+            if (kind === 'set') {
+                var boxes = cell.querySelectorAll('input[type="checkbox"]');
+                var values = [];
+                boxes.forEach(function(box) { if (box.checked) values.push(box.value); });
+                var strings = getStrings();
+                cell.querySelector('summary').textContent = values.length === boxes.length ? (strings.all || 'All') : values.length + ' / ' + boxes.length;
+                return values.length === boxes.length ? null : { kind: kind, values: values };
+            }
+            var term = cell.querySelector('.litestats-filter-text').value.trim().toLowerCase();
+            return term ? { kind: kind, mode: cell.querySelector('.litestats-filter-mode').value, term: term } : null;
+        }
+
+        function matchesFilter(val, filter) {
+            switch (filter.kind) {
+                case 'range':
+                    var n = cellNumber(val);
+                    // Slider steps are rounded; compare with a little slack.
+                    var slack = Math.abs(filter.max - filter.min) * 1e-9;
+                    return n !== null && n >= filter.min - slack && n <= filter.max + slack;
+                case 'date':
+                    var day = cellDay(val);
+                    return day !== null && (!filter.from || day >= filter.from) && (!filter.to || day <= filter.to);
+                case 'set':
+                    return filter.values.indexOf(String(val)) !== -1;
+                default:
+                    var text = String(val === null || val === undefined ? '' : val).toLowerCase();
+                    return filter.mode === 'equals' ? text.trim() === filter.term : text.indexOf(filter.term) !== -1;
+            }
+        }
+
+        // Put a column's filter control in the given state (null = no filter)
+        function setFilterControl(cell, filter) {
+            var th = cell.th;
+            if (cell.kind === 'range') {
+                var minInput = th.querySelector('.litestats-filter-min');
+                if (!minInput) return null;
+                var maxInput = th.querySelector('.litestats-filter-max');
+                minInput.value = filter && !isNaN(parseFloat(filter.min)) ? filter.min : minInput.min;
+                maxInput.value = filter && !isNaN(parseFloat(filter.max)) ? filter.max : maxInput.max;
+            } else if (cell.kind === 'date') {
+                th.querySelector('.litestats-filter-from').value = (filter && filter.from) || '';
+                th.querySelector('.litestats-filter-to').value = (filter && filter.to) || '';
+            } else if (cell.kind === 'set') {
+                var values = filter && Array.isArray(filter.values) ? filter.values.map(String) : null;
+                th.querySelectorAll('input[type="checkbox"]').forEach(function(box) {
+                    box.checked = !values || values.indexOf(box.value) !== -1;
+                });
+            } else {
+                th.querySelector('.litestats-filter-mode').value = filter && filter.mode === 'equals' ? 'equals' : 'contains';
+                th.querySelector('.litestats-filter-text').value = (filter && filter.term) || '';
+            }
+            // Read back, so only what the control can express is kept.
+            return readFilter(th, cell.kind, cell.col);
+        }
+
+        // Filter row under the headers (settings.tableColumnFilters)
+        function renderFilterRow() {
+            if (!settings.tableColumnFilters) return;
+            var strings = getStrings();
+
+            var tr = document.createElement('tr');
+            tr.className = 'litestats-filter-row';
+            cols.forEach(function(col, i) {
+                var kind = filterKind(col, i);
+                var th = document.createElement('th');
+                th.className = 'litestats-filter-cell';
+                th.innerHTML = filterControlHtml(col, i, kind, strings);
+
+                var update = function(push) {
+                    var filter = readFilter(th, kind, col);
+                    if (filter) {
+                        columnFilters[i] = filter;
+                    } else {
+                        delete columnFilters[i];
+                    }
+                    refreshRows(push);
+                };
+                var timer = null;
+                th.addEventListener('input', function() {
+                    clearTimeout(timer);
+                    timer = setTimeout(function() { update(false); }, kind === 'text' ? 250 : 100);
                 });
+                th.addEventListener('change', function() { update(true); });
+                filterCells[i] = { th: th, kind: kind, col: col };
+                tr.appendChild(th);
             });
+            thead.appendChild(tr);
         }
 
-        // Apply search filter
+        function getStrings() {
+            return (typeof liteStatsProFrontend !== 'undefined' && liteStatsProFrontend.strings) ? liteStatsProFrontend.strings : {};
+        }
+
+        // Apply search and column filters
         function applyFilters() {
+            var filterCols = Object.keys(columnFilters);
             filteredRows = allRows.filter(function(row) {
                 if (searchTerm) {
                     var match = false;
@@ -361,26 +688,131 @@
                     }
                     if (!match) return false;
                 }
+                for (var f = 0; f < filterCols.length; f++) {
+                    if (!matchesFilter(row[filterCols[f]], columnFilters[filterCols[f]])) return false;
+                }
                 return true;
             });
         }
 
-        // Sort
+        // Re-filter after the search or a column filter changed
+        function refreshRows(push) {
+            applyFilters();
+            applySort();
+            currentPage = 1;
+            renderBody();
+            renderFooter();
+            renderPagination();
+            saveState(push);
+        }
+
+        // Sort, search, filters and page in the URL hash
+        function saveState(push) {
+            if (!stateKey) return;
+            var searchInput = tableWrapper.querySelector('.litestats-search');
+            urlState.write(stateKey, {
+                s: sortKeys.map(function(key) { return [key.col, key.asc ? 0 : 1]; }),
+                q: searchInput ? searchInput.value : null,
+                f: columnFilters,
+                p: currentPage > 1 ? currentPage : null
+            }, push);
+        }
+
+        function restoreState() {
+            if (!stateKey) return;
+            var state = urlState.read(stateKey);
+
+            var searchInput = tableWrapper.querySelector('.litestats-search');
+            if (searchInput) {
+                searchInput.value = typeof state.q === 'string' ? state.q : '';
+                searchTerm = searchInput.value.toLowerCase();
+                var wrapper = tableWrapper.querySelector('.litestats-search-wrapper');
+                if (wrapper) wrapper.classList.toggle('has-value', searchInput.value.length > 0);
+            }
+
+            sortKeys = Array.isArray(state.s) ? parseSortKeys(state.s.map(function(key) {
+                return Array.isArray(key) ? { col: key[0], dir: key[1] ? 'desc' : 'asc' } : null;
+            })) : parseSortKeys(settings.tableDefaultSort);
+            renderSortIndicators();
+
+            columnFilters = {};
+            var saved = state.f && typeof state.f === 'object' ? state.f : {};
+            Object.keys(filterCells).forEach(function(i) {
+                var filter = setFilterControl(filterCells[i], saved[i] || null);
+                if (filter) columnFilters[i] = filter;
+            });
+
+            applyFilters();
+            applySort();
+            currentPage = Math.max(1, parseInt(state.p, 10) || 1);
+            renderBody();
+            renderFooter();
+            renderPagination();
+        }
+
+        /**
+         * Valid sort levels from the tableDefaultSort setting or the URL.
+         *
+         * @param {Array} list - [{ col, dir: 'asc'|'desc' }]
+         * @returns {Array} [{ col, asc }], one entry per column.
+         */
+        function parseSortKeys(list) {
+            var keys = [];
+            var used = {};
+            (Array.isArray(list) ? list : []).forEach(function(item) {
+                var idx = item ? parseInt(item.col, 10) : NaN;
+                if (isNaN(idx) || idx < 0 || idx >= cols.length || used[idx]) return;
+                used[idx] = true;
+                keys.push({ col: idx, asc: item.dir !== 'desc' });
+            });
+            return keys;
+        }
+
+        // Sort value of a cell, or null for empty and error cells
+        function sortValue(val, col) {
+            if (col.type === 'number' || col.type === 'currency' || col.type === 'percentage' || col.type === 'formula') {
+                var n = cellNumber(val);
+                if (n !== null || col.type !== 'formula') return n;
+            }
+            if (col.type === 'date') {
+                return cellDay(val);
+            }
+            if (val === null || val === undefined || errorCode(val)) return null;
+            val = String(val).trim();
+            return val === '' ? null : val;
+        }
+
+        // Sort: by each level in turn, empty cells last, ties keep their order
         function applySort() {
-            if (sortCol < 0) return;
-            filteredRows.sort(function(a, b) {
-                var v1 = a[sortCol], v2 = b[sortCol];
-                var col = cols[sortCol];
-                var result;
-                if (col.type === 'number' || col.type === 'currency' || col.type === 'percentage') {
-                    result = parseFloat(v1) - parseFloat(v2);
-                } else if (col.type === 'date') {
-                    result = new Date(v1) - new Date(v2);
-                } else {
-                    result = String(v1).localeCompare(String(v2));
+            if (!sortKeys.length) return;
+
+            var decorated = filteredRows.map(function(row, i) {
+                return {
+                    row: row,
+                    pos: i,
+                    values: sortKeys.map(function(key) { return sortValue(row[key.col], cols[key.col]); })
+                };
+            });
+
+            decorated.sort(function(a, b) {
+                for (var k = 0; k < sortKeys.length; k++) {
+                    var v1 = a.values[k], v2 = b.values[k];
+                    if (v1 === v2) continue;
+                    if (v1 === null) return 1;
+                    if (v2 === null) return -1;
+
+                    var result;
+                    if (typeof v1 === 'number' && typeof v2 === 'number') {
+                        result = v1 - v2;
+                    } else {
+                        result = String(v1).localeCompare(String(v2), undefined, { numeric: true, sensitivity: 'base' });
+                    }
+                    if (result) return sortKeys[k].asc ? result : -result;
                 }
-                return sortAsc ? result : -result;
+                return a.pos - b.pos;
             });
+
+            filteredRows = decorated.map(function(item) { return item.row; });
         }
 
         // Render body with pagination
@@ -404,6 +836,27 @@
             tbody.innerHTML = bHtml;
         }
 
+        // Totals row over all filtered rows (not just the current page)
+        function renderFooter() {
+            if (!tfoot) return;
+            if (!settings.showFooter || typeof LiteStatsMathEngine === 'undefined') {
+                tfoot.innerHTML = '';
+                return;
+            }
+
+            var fHtml = '<tr>';
+            cols.forEach(function(col, i) {
+                var kind = col.props && col.props.footer;
+                var val = kind ? LiteStatsMathEngine.aggregate(kind, filteredRows, cols, i) : '';
+                var text = '';
+                if (val !== '') {
+                    text = kind === 'count' ? escapeHtml(String(val)) : formatValue(val, col);
+                }
+                fHtml += '<td>' + text + '</td>';
+            });
+            tfoot.innerHTML = fHtml + '</tr>';
+        }
+
         // Conditional formatting
         function getCellStyle(value, colIdx, rules) {
             if (!rules || !rules.length) return '';
@@ -462,7 +915,7 @@
                 return;
             }
 
-            var strings = (typeof liteStatsProFrontend !== 'undefined' && liteStatsProFrontend.strings) ? liteStatsProFrontend.strings : {};
+            var strings = getStrings();
             var start = (currentPage - 1) * rowsPerPage + 1;
             var end = Math.min(currentPage * rowsPerPage, filteredRows.length);
             var html = '<div class="litestats-page-info">' +
@@ -487,16 +940,17 @@
 
             // Bind
             paginationEl.querySelector('.litestats-page-prev').addEventListener('click', function() {
-                if (currentPage > 1) { currentPage--; renderBody(); renderPagination(); }
+                if (currentPage > 1) { currentPage--; renderBody(); renderPagination(); saveState(true); }
             });
             paginationEl.querySelector('.litestats-page-next').addEventListener('click', function() {
-                if (currentPage < totalPages) { currentPage++; renderBody(); renderPagination(); }
+                if (currentPage < totalPages) { currentPage++; renderBody(); renderPagination(); saveState(true); }
             });
             paginationEl.querySelectorAll('.litestats-page-num').forEach(function(btn) {
                 btn.addEventListener('click', function() {
                     currentPage = parseInt(this.dataset.page, 10);
                     renderBody();
                     renderPagination();
+                    saveState(true);
                 });
             });
         }
@@ -511,11 +965,7 @@
                 var doSearch = function() {
                     searchTerm = searchInput.value.toLowerCase();
                     if (wrapper) wrapper.classList.toggle('has-value', searchInput.value.length > 0);
-                    applyFilters();
-                    applySort();
-                    currentPage = 1;
-                    renderBody();
-                    renderPagination();
+                    refreshRows(false);
                 };
 
                 var searchTimer = null;
@@ -578,10 +1028,17 @@
 
         // Init
         renderHeaders();
-        applyFilters();
-        applySort();
-        renderBody();
-        renderPagination();
+        renderFilterRow();
+        if (stateKey) {
+            restoreState();
+            window.addEventListener('popstate', restoreState);
+        } else {
+            applyFilters();
+            applySort();
+            renderBody();
+            renderFooter();
+            renderPagination();
+        }
         bindSearch();
         bindExport();
     }
@@ -668,10 +1125,31 @@
             renderChart(containerId, filteredData);
         }
 
+        // Select the group saved in the URL hash ("All" when there is none)
+        function restoreGroup() {
+            var group = urlState.read(chartData.stateKey).g;
+            var item = null;
+            list.querySelectorAll('.litestats-group-item').forEach(function(li) {
+                if (li.dataset.group === group) item = li;
+            });
+            if (item) {
+                handleGroupClick(group, item);
+            } else if (allBtn && !allBtn.classList.contains('active')) {
+                handleGroupClick('__all__', allBtn);
+            }
+        }
+
+        function saveGroup(group) {
+            if (chartData.stateKey) {
+                urlState.write(chartData.stateKey, { g: group === '__all__' ? null : group }, true);
+            }
+        }
+
         // "All" click
         if (allBtn) {
             allBtn.addEventListener('click', function() {
                 handleGroupClick('__all__', this);
+                saveGroup('__all__');
             });
         }
 
@@ -679,8 +1157,14 @@
         list.querySelectorAll('.litestats-group-item').forEach(function(li) {
             li.addEventListener('click', function() {
                 handleGroupClick(this.dataset.group, this);
+                saveGroup(this.dataset.group);
             });
         });
+
+        if (chartData.stateKey) {
+            restoreGroup();
+            window.addEventListener('popstate', restoreGroup);
+        }
     }
 
     /**
@@ -691,8 +1175,13 @@
             return;
         }
 
+        // URL state keys: "ls" + chart ID, numbered when a chart is shown twice.
+        var seen = {};
+
         Object.keys(liteStatsFrontendCharts).forEach(function(containerId) {
             var chartData = liteStatsFrontendCharts[containerId];
+            seen[chartData.id] = (seen[chartData.id] || 0) + 1;
+            chartData.stateKey = 'ls' + chartData.id + (seen[chartData.id] > 1 ? '-' + seen[chartData.id] : '');
 
             if (chartData.settings && chartData.settings.view === 'table') {
                 renderTable(containerId, chartData);
@@ -25,16 +25,18 @@
         parsedRows: [],
         columnTypes: [],
         firstRowIsHeader: true,
+        fileName: '',
         callback: null,
 
         /**
          * Open the CSV wizard modal.
          *
-         * @param {Function} cb - Callback receiving { cols, rows } on import.
+         * @param {Function} cb - Callback receiving { cols, rows, fileName } on import.
          */
         open: function(cb) {
             this.callback = cb;
             this.currentStep = 1;
+            this.fileName = '';
             this.rawLines = [];
             this.parsedRows = [];
             this.columnTypes = [];
@@ -151,6 +153,7 @@
         readFile: function(file) {
             var self = this;
             var reader = new FileReader();
+            this.fileName = file.name || '';
 
             reader.onload = function(evt) {
                 var text = evt.target.result;
@@ -478,7 +481,7 @@
                 rows.push(row);
             }
 
-            this.callback({ cols: cols, rows: rows });
+            this.callback({ cols: cols, rows: rows, fileName: this.fileName });
         },
 
         escapeHtml: function(str) {
@@ -0,0 +1,198 @@
+/**
+ * LiteStats Pro - Data Labels Module
+ *
+ * Chart.js plugin that draws each point's value on bar, line and combo
+ * charts, and each slice's share of the total on pie and doughnut charts.
+ * Values use the column's prefix, suffix and precision.
+ *
+ * Usage:
+ *   new Chart(ctx, {
+ *       plugins: [LiteStatsDataLabels.plugin],
+ *       options: { plugins: { litestatsDataLabels: LiteStatsDataLabels.options(settings, columns) } }
+ *   });
+ *
+ * Positions: 'end' (past the bar tip, above the point, outer part of the
+ * slice), 'center' and 'start' (at the bar base, below the point, inner part
+ * of the slice).
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global Chart */
+
+(function(window) {
+    'use strict';
+
+    var POSITIONS = ['end', 'center', 'start'];
+    var GAP = 4;
+
+    var DataLabels = {
+        POSITIONS: POSITIONS,
+
+        /**
+         * Plugin options for a chart.
+         *
+         * @param {Object} settings - Chart settings (showDataLabels, dataLabelPosition).
+         * @param {Array} columns - Column definition of each dataset, in dataset order.
+         * @returns {Object}
+         */
+        options: function(settings, columns) {
+            return {
+                display: !!settings.showDataLabels,
+                position: POSITIONS.indexOf(settings.dataLabelPosition) !== -1 ? settings.dataLabelPosition : 'end',
+                columns: columns || []
+            };
+        },
+
+        /**
+         * Layout padding that keeps labels past the bar tips inside the canvas.
+         */
+        padding: function(settings) {
+            return settings.showDataLabels ? { top: 20, right: 8 } : 0;
+        },
+
+        /**
+         * Format a value with the column's prefix, suffix and precision.
+         *
+         * @param {number} value
+         * @param {Object} col - Column definition.
+         * @returns {string}
+         */
+        formatValue: function(value, col) {
+            col = col || {};
+            var props = col.props || {};
+            var num = Number(value);
+            var prefix = props.prefix || '';
+            var suffix = props.suffix || '';
+            var precision = props.precision !== undefined && props.precision !== '' ? parseInt(props.precision, 10) : null;
+
+            if (col.type === 'currency') {
+                prefix = props.currencySymbol || props.prefix || '$';
+                if (precision === null) precision = 2;
+            } else if (col.type === 'percentage') {
+                suffix = props.suffix || '%';
+                if (precision === null) precision = 1;
+            } else if (col.type === 'formula' && props.isPercent) {
+                num = num * 100;
+                suffix = suffix + '%';
+            }
+            if (precision === null && num !== Math.floor(num)) precision = 2;
+
+            var text = precision === null ? num.toLocaleString() :
+                num.toLocaleString(undefined, { minimumFractionDigits: precision, maximumFractionDigits: precision });
+            return prefix + text + suffix;
+        },
+
+        /**
+         * Where to draw the label of one element.
+         *
+         * @returns {Object} { x, y, align, baseline, inside }
+         */
+        place: function(el, isArc, position) {
+            if (isArc) {
+                var arc = el.getProps(['x', 'y', 'startAngle', 'endAngle', 'innerRadius', 'outerRadius'], true);
+                var angle = (arc.startAngle + arc.endAngle) / 2;
+                var share = position === 'end' ? 0.8 : (position === 'start' ? 0.2 : 0.5);
+                var inner = arc.innerRadius || 0;
+                var radius = inner + (arc.outerRadius - inner) * (inner ? share : Math.max(share, 0.35));
+                return {
+                    x: arc.x + Math.cos(angle) * radius,
+                    y: arc.y + Math.sin(angle) * radius,
+                    align: 'center',
+                    baseline: 'middle',
+                    inside: true
+                };
+            }
+
+            var props = el.getProps(['x', 'y', 'base', 'horizontal'], true);
+
+            // Line points have no base: above, on or below the point.
+            if (props.base === undefined || isNaN(props.base)) {
+                return {
+                    x: props.x,
+                    y: position === 'end' ? props.y - GAP * 2 : (position === 'start' ? props.y + GAP * 2 : props.y),
+                    align: 'center',
+                    baseline: position === 'end' ? 'bottom' : (position === 'start' ? 'top' : 'middle'),
+                    inside: false
+                };
+            }
+
+            if (props.horizontal) {
+                var right = props.x >= props.base ? 1 : -1;
+                var hx = position === 'end' ? props.x + right * GAP :
+                    (position === 'start' ? props.base + right * GAP : (props.x + props.base) / 2);
+                return {
+                    x: hx,
+                    y: props.y,
+                    align: position === 'center' ? 'center' : (right > 0 ? 'left' : 'right'),
+                    baseline: 'middle',
+                    inside: position !== 'end'
+                };
+            }
+
+            // Vertical bars: "up" is away from the base (down for negative values).
+            var up = props.y <= props.base ? 1 : -1;
+            var vy = position === 'end' ? props.y - up * GAP :
+                (position === 'start' ? props.base - up * GAP : (props.y + props.base) / 2);
+            return {
+                x: props.x,
+                y: vy,
+                align: 'center',
+                baseline: position === 'center' ? 'middle' : (up > 0 ? 'bottom' : 'top'),
+                inside: position !== 'end'
+            };
+        }
+    };
+
+    DataLabels.plugin = {
+        id: 'litestatsDataLabels',
+
+        afterDatasetsDraw: function(chart, args, opts) {
+            if (!opts || !opts.display) return;
+
+            var ctx = chart.ctx;
+            var isPieChart = chart.config.type === 'pie' || chart.config.type === 'doughnut';
+            var defaults = (typeof Chart !== 'undefined' && Chart.defaults) || {};
+            var family = (defaults.font && defaults.font.family) || 'sans-serif';
+
+            ctx.save();
+            ctx.font = '600 11px ' + family;
+
+            chart.data.datasets.forEach(function(dataset, di) {
+                if (!chart.isDatasetVisible(di)) return;
+                var meta = chart.getDatasetMeta(di);
+                var col = opts.columns[di];
+                var isArc = meta.type === 'pie' || meta.type === 'doughnut';
+
+                var total = 0;
+                if (isPieChart) {
+                    dataset.data.forEach(function(v, i) {
+                        if (chart.getDataVisibility(i)) total += Math.abs(parseFloat(v) || 0);
+                    });
+                }
+
+                meta.data.forEach(function(el, i) {
+                    var value = dataset.data[i];
+                    if (value === null || value === undefined || isNaN(value) || el.skip) return;
+                    if (isPieChart && (!chart.getDataVisibility(i) || !total || !value)) return;
+
+                    var text = isPieChart ?
+                        parseFloat((Math.abs(value) / total * 100).toFixed(1)) + '%' :
+                        DataLabels.formatValue(value, col);
+                    var spot = DataLabels.place(el, isArc, opts.position);
+
+                    ctx.fillStyle = spot.inside ? '#fff' : (defaults.color || '#666');
+                    ctx.textAlign = spot.align;
+                    ctx.textBaseline = spot.baseline;
+                    ctx.fillText(text, spot.x, spot.y);
+                });
+            });
+
+            ctx.restore();
+        }
+    };
+
+    window.LiteStatsDataLabels = DataLabels;
+
+})(window);
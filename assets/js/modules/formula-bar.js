@@ -0,0 +1,313 @@
+/**
+ * LiteStats Pro - Formula Bar Module
+ *
+ * Editing aids for the formula input:
+ * - function-name autocomplete with argument signatures
+ * - signature hint for the function the caret is in
+ * - highlighting of the referenced columns in the grid header, including
+ *   columns referenced by name ([2024 Sales])
+ * - inline syntax error with its position
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global LiteStatsMathEngine */
+
+(function(window, document) {
+    'use strict';
+
+    var MAX_SUGGESTIONS = 8;
+
+    var FormulaBar = {
+        input: null,
+        listEl: null,
+        hintEl: null,
+        errorEl: null,
+        columns: null,
+        strings: {},
+
+        /**
+         * Current suggestions, the highlighted one and the word they complete.
+         */
+        items: [],
+        activeIdx: -1,
+        word: '',
+
+        /**
+         * Attach the formula bar behaviour to an input.
+         *
+         * @param {HTMLInputElement} input - The formula input.
+         * @param {Object} options - { listEl, hintEl, errorEl, columns, strings: { errorAt } },
+         *                           where columns() returns the current column definitions.
+         */
+        init: function(input, options) {
+            var self = this;
+            options = options || {};
+            if (!input || !window.LiteStatsMathEngine) return;
+
+            this.input = input;
+            this.listEl = options.listEl;
+            this.hintEl = options.hintEl;
+            this.errorEl = options.errorEl;
+            this.columns = options.columns || null;
+            this.strings = options.strings || {};
+
+            input.addEventListener('input', function() { self.update(); });
+            input.addEventListener('click', function() { self.update(); });
+            input.addEventListener('focus', function() { self.update(); });
+            input.addEventListener('keyup', function(e) {
+                if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End') {
+                    self.update();
+                }
+            });
+            input.addEventListener('keydown', function(e) { self.onKeyDown(e); });
+            input.addEventListener('blur', function() {
+                self.closeList();
+                self.showHint('');
+                self.highlightColumns([]);
+            });
+
+            if (this.listEl) {
+                // mousedown keeps focus in the input, unlike click.
+                this.listEl.addEventListener('mousedown', function(e) {
+                    var item = e.target.closest('[data-idx]');
+                    if (!item) return;
+                    e.preventDefault();
+                    self.accept(parseInt(item.dataset.idx, 10));
+                });
+            }
+        },
+
+        /**
+         * Refresh suggestions, hint, error and column highlights for the
+         * current value and caret position.
+         */
+        update: function() {
+            var value = this.input.value;
+            var isFormula = !this.input.disabled && value.charAt(0) === '=';
+
+            if (!isFormula) {
+                this.closeList();
+                this.showHint('');
+                this.showError(null);
+                this.highlightColumns([]);
+                return;
+            }
+
+            var caret = this.input.selectionStart === null ? value.length : this.input.selectionStart;
+            var before = value.substring(0, caret);
+
+            this.suggest(this.isInString(before) ? '' : (before.match(/[A-Za-z_][A-Za-z0-9_.]*$/) || [''])[0]);
+            if (this.items.length) {
+                this.showHint('');
+            } else {
+                this.showSignature(before);
+            }
+            var cols = this.columns ? this.columns() : undefined;
+            this.showError(LiteStatsMathEngine.check(value, cols));
+            this.highlightColumns(LiteStatsMathEngine.referencedColumns(value, cols));
+        },
+
+        /**
+         * Whether the end of the text is inside a string literal.
+         */
+        isInString: function(text) {
+            var quote = null;
+            for (var i = 0; i < text.length; i++) {
+                var ch = text.charAt(i);
+                if (quote) {
+                    if (ch === '\\') { i++; continue; }
+                    if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") {
+                    quote = ch;
+                }
+            }
+            return quote !== null;
+        },
+
+        /**
+         * Show the functions whose name starts with the word being typed.
+         */
+        suggest: function(word) {
+            var prefix = word.toUpperCase();
+            var next = this.input.value.charAt(this.input.selectionStart || 0);
+
+            this.items = !prefix || next === '(' ? [] : LiteStatsMathEngine.listFunctions().filter(function(fn) {
+                return fn.name.indexOf(prefix) === 0 && fn.name !== prefix;
+            }).slice(0, MAX_SUGGESTIONS);
+            this.word = word;
+            this.activeIdx = this.items.length ? 0 : -1;
+            this.renderList();
+        },
+
+        renderList: function() {
+            if (!this.listEl) return;
+            if (!this.items.length) {
+                this.closeList();
+                return;
+            }
+
+            var self = this;
+            var html = '';
+            this.items.forEach(function(fn, i) {
+                html += '<div class="formula-suggestion' + (i === self.activeIdx ? ' active' : '') + '" data-idx="' + i + '">' +
+                    '<span class="formula-suggestion-sig">' + escapeHtml(fn.signature) + '</span>' +
+                    '<span class="formula-suggestion-desc">' + escapeHtml(fn.description) + '</span>' +
+                '</div>';
+            });
+            this.listEl.innerHTML = html;
+            this.listEl.hidden = false;
+        },
+
+        closeList: function() {
+            this.items = [];
+            this.activeIdx = -1;
+            if (this.listEl) {
+                this.listEl.hidden = true;
+                this.listEl.innerHTML = '';
+            }
+        },
+
+        /**
+         * Replace the word being typed with the chosen function name and an
+         * opening parenthesis.
+         */
+        accept: function(idx) {
+            var fn = this.items[idx];
+            if (!fn) return;
+
+            var value = this.input.value;
+            var caret = this.input.selectionStart;
+            var start = caret - this.word.length;
+            var insert = fn.name + '(';
+
+            this.input.value = value.substring(0, start) + insert + value.substring(caret);
+            this.input.setSelectionRange(start + insert.length, start + insert.length);
+            this.closeList();
+            this.update();
+        },
+
+        onKeyDown: function(e) {
+            if (!this.items.length) return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.activeIdx = (this.activeIdx + 1) % this.items.length;
+                    this.renderList();
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.activeIdx = (this.activeIdx - 1 + this.items.length) % this.items.length;
+                    this.renderList();
+                    break;
+                case 'Enter':
+                case 'Tab':
+                    e.preventDefault();
+                    this.accept(this.activeIdx);
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    this.closeList();
+                    break;
+            }
+        },
+
+        /**
+         * Show the signature of the innermost function call around the caret,
+         * with the current argument emphasised.
+         */
+        showSignature: function(before) {
+            var depth = 0;
+            var argIdx = 0;
+            var quote = null;
+            var name = null;
+
+            // Walk backwards to the unclosed "(" of the call we are in.
+            for (var i = before.length - 1; i >= 0; i--) {
+                var ch = before.charAt(i);
+                if (quote) {
+                    if (ch === quote) quote = null;
+                    continue;
+                }
+                if (ch === '"' || ch === "'") { quote = ch; continue; }
+                if (ch === ')') depth++;
+                else if (ch === ',' && depth === 0) argIdx++;
+                else if (ch === '(') {
+                    if (depth === 0) {
+                        name = (before.substring(0, i).match(/[A-Za-z_][A-Za-z0-9_.]*$/) || [null])[0];
+                        break;
+                    }
+                    depth--;
+                }
+            }
+
+            var info = null;
+            if (name) {
+                var upper = name.toUpperCase();
+                info = LiteStatsMathEngine.listFunctions().filter(function(fn) { return fn.name === upper; })[0];
+            }
+            if (!info) {
+                this.showHint('');
+                return;
+            }
+
+            var args = info.signature.substring(info.name.length + 1, info.signature.length - 1).split(', ');
+            var current = Math.min(argIdx, args.length - 1);
+            if (args[current] === '...') current--;
+
+            var html = escapeHtml(info.name) + '(' + args.map(function(arg, i) {
+                return i === current ? '<strong>' + escapeHtml(arg) + '</strong>' : escapeHtml(arg);
+            }).join(', ') + ')';
+            this.showHint(html);
+        },
+
+        showHint: function(html) {
+            if (!this.hintEl) return;
+            this.hintEl.innerHTML = html;
+            this.hintEl.hidden = !html;
+        },
+
+        /**
+         * Show or clear the syntax error message.
+         *
+         * @param {Object|null} problem - { message, pos } from MathEngine.check().
+         */
+        showError: function(problem) {
+            this.input.classList.toggle('has-error', !!problem);
+            if (!this.errorEl) return;
+
+            if (!problem) {
+                this.errorEl.hidden = true;
+                this.errorEl.textContent = '';
+                return;
+            }
+
+            var template = this.strings.errorAt || '%1$s (at character %2$d)';
+            this.errorEl.textContent = template.replace('%1$s', problem.message).replace('%2$d', problem.pos + 1);
+            this.errorEl.hidden = false;
+        },
+
+        /**
+         * Mark the grid header cells of the given columns.
+         *
+         * @param {Array} cols - Column indices.
+         */
+        highlightColumns: function(cols) {
+            document.querySelectorAll('#gridHead .th-inner[data-col-idx]').forEach(function(el) {
+                var idx = parseInt(el.dataset.colIdx, 10);
+                el.parentNode.classList.toggle('th-formula-ref', cols.indexOf(idx) !== -1);
+            });
+        }
+    };
+
+    function escapeHtml(str) {
+        var div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    window.LiteStatsFormulaBar = FormulaBar;
+
+})(window, document);
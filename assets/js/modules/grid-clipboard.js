@@ -0,0 +1,260 @@
+/**
+ * LiteStats Pro - Grid Clipboard Module
+ *
+ * Copy and paste of cell blocks between the editor grid and spreadsheets
+ * (Excel, Google Sheets, LibreOffice):
+ * - copy puts the selection on the clipboard as tab-separated text and as
+ *   an HTML table
+ * - paste of tab-separated text fills the grid from the active cell,
+ *   adding rows and columns as needed and converting each value to its
+ *   column's type
+ *
+ * Copy and paste inside a cell being edited keep the browser's behaviour.
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global LiteStatsGridUI, LiteStatsGridNav */
+
+(function(window, document) {
+    'use strict';
+
+    var NUMERIC_TYPES = ['number', 'currency', 'percentage'];
+
+    var GridClipboard = {
+        options: {},
+
+        /**
+         * Attach copy/paste handling to the grid table.
+         *
+         * @param {HTMLTableElement} table - The editor grid (#mainGrid).
+         * @param {Object} options - { onPaste(row, col, values) } where values is
+         *                           the pasted block as an array of rows.
+         */
+        init: function(table, options) {
+            var self = this;
+            if (!table || !window.LiteStatsGridUI || !window.LiteStatsGridNav) return;
+            this.options = options || {};
+
+            table.addEventListener('copy', function(e) { self.onCopy(e); });
+            table.addEventListener('paste', function(e) { self.onPaste(e); });
+        },
+
+        onCopy: function(e) {
+            var range = LiteStatsGridNav.range();
+            var app = LiteStatsGridUI.app;
+            if (!range || !app || !e.clipboardData) return;
+            if (LiteStatsGridNav.editing && !this.isMultiCell(range)) return;
+
+            var values = [];
+            for (var r = range.top; r <= range.bottom; r++) {
+                var line = [];
+                for (var c = range.left; c <= range.right; c++) {
+                    var val = app.rows[r][c];
+                    line.push(val === null || val === undefined ? '' : String(val));
+                }
+                values.push(line);
+            }
+
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', this.toTsv(values));
+            e.clipboardData.setData('text/html', this.toHtml(values));
+        },
+
+        onPaste: function(e) {
+            var active = LiteStatsGridNav.active;
+            if (!active || !e.clipboardData) return;
+
+            var text = e.clipboardData.getData('text/plain');
+            // A single value pasted into a cell being edited goes into that cell.
+            if (!text || (LiteStatsGridNav.editing && !/[\t\n\r]/.test(text.replace(/[\r\n]+$/, '')))) return;
+
+            e.preventDefault();
+            var values = this.parseTsv(text);
+            var range = LiteStatsGridNav.range();
+
+            // One value pasted over a selection fills the selection.
+            if (values.length === 1 && values[0].length === 1 && this.isMultiCell(range)) {
+                var fill = [];
+                for (var r = range.top; r <= range.bottom; r++) {
+                    var line = [];
+                    for (var c = range.left; c <= range.right; c++) line.push(values[0][0]);
+                    fill.push(line);
+                }
+                values = fill;
+            }
+
+            if (typeof this.options.onPaste === 'function') {
+                this.options.onPaste(range ? range.top : active.row, range ? range.left : active.col, values);
+            }
+        },
+
+        isMultiCell: function(range) {
+            return !!range && (range.top !== range.bottom || range.left !== range.right);
+        },
+
+        /**
+         * Parse tab-separated clipboard text. Cells holding tabs, line breaks
+         * or quotes come quoted, with quotes doubled.
+         *
+         * @param {string} text
+         * @returns {Array} Rows of cell strings.
+         */
+        parseTsv: function(text) {
+            var rows = [];
+            var row = [];
+            var cell = '';
+            var quoted = false;
+
+            text = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+
+            for (var i = 0; i < text.length; i++) {
+                var ch = text.charAt(i);
+                if (quoted) {
+                    if (ch === '"' && text.charAt(i + 1) === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (ch === '"') {
+                        quoted = false;
+                    } else {
+                        cell += ch;
+                    }
+                } else if (ch === '"' && cell === '') {
+                    quoted = true;
+                } else if (ch === '\t') {
+                    row.push(cell);
+                    cell = '';
+                } else if (ch === '\n') {
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += ch;
+                }
+            }
+            row.push(cell);
+            rows.push(row);
+            return rows;
+        },
+
+        /**
+         * Tab-separated text of a block, quoting cells the way spreadsheets do.
+         */
+        toTsv: function(values) {
+            return values.map(function(line) {
+                return line.map(function(val) {
+                    return /[\t\n\r"]/.test(val) ? '"' + val.replace(/"/g, '""') + '"' : val;
+                }).join('\t');
+            }).join('\n');
+        },
+
+        /**
+         * HTML table of a block, for pasting with rows and columns intact.
+         */
+        toHtml: function(values) {
+            var html = '<table>';
+            values.forEach(function(line) {
+                html += '<tr>' + line.map(function(val) {
+                    return '<td>' + LiteStatsGridUI.escapeHtml(val).replace(/\n/g, '<br>') + '</td>';
+                }).join('') + '</tr>';
+            });
+            return html + '</table>';
+        },
+
+        /**
+         * Convert a pasted string to the column's type. Numbers lose currency
+         * symbols, thousands separators and "%", "(12)" becomes -12 and dates
+         * become YYYY-MM-DD. Values that do not convert are kept as text.
+         *
+         * @param {string} value
+         * @param {Object} col - Column definition.
+         * @returns {*}
+         */
+        coerce: function(value, col) {
+            value = String(value).trim();
+            if (value === '') return '';
+
+            if (NUMERIC_TYPES.indexOf(col.type) !== -1) {
+                var negative = /^\(.*\)$/.test(value);
+                var cleaned = value.replace(/^\((.*)\)$/, '$1').replace(/[$\u20ac\u00a3\u00a5\u20b9,%\s]/g, '');
+                if (cleaned !== '' && isFinite(cleaned)) {
+                    return negative ? -parseFloat(cleaned) : parseFloat(cleaned);
+                }
+                return value;
+            }
+
+            if (col.type === 'date') {
+                if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+                // Only dates written with separators (3/15/2024, 2024.3.15);
+                // a bare number such as 12 or 2024 stays text.
+                var d = /^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/.test(value) ? new Date(value) : null;
+                if (d && !isNaN(d.getTime())) {
+                    return d.getFullYear() + '-' + ('0' + (d.getMonth() + 1)).slice(-2) + '-' + ('0' + d.getDate()).slice(-2);
+                }
+            }
+            return value;
+        },
+
+        /**
+         * Type for a column added by a paste: number when every pasted value
+         * is numeric, otherwise text.
+         */
+        guessType: function(values) {
+            var filled = values.filter(function(val) { return String(val).trim() !== ''; });
+            var numeric = filled.length && filled.every(function(val) {
+                return isFinite(String(val).replace(/[,\s]/g, ''));
+            });
+            return numeric ? 'number' : 'string';
+        },
+
+        /**
+         * Write a pasted block into the app, growing it as needed. Formula
+         * columns are left alone.
+         *
+         * @param {Object} app - { cols, rows }
+         * @param {number} startRow
+         * @param {number} startCol
+         * @param {Array} values - Rows of cell strings.
+         * @returns {Object} { addedRows, addedCols }
+         */
+        apply: function(app, startRow, startCol, values) {
+            var self = this;
+            var width = 0;
+            values.forEach(function(line) { width = Math.max(width, line.length); });
+
+            // New columns, typed from the values pasted into them.
+            var addedCols = Math.max(0, startCol + width - app.cols.length);
+            for (var n = 0; n < addedCols; n++) {
+                var offset = app.cols.length - startCol;
+                app.cols.push({
+                    id: 'c' + Date.now() + n,
+                    name: 'New',
+                    type: this.guessType(values.map(function(line) { return line[offset] || ''; })),
+                    width: 100,
+                    props: {}
+                });
+                app.rows.forEach(function(row) { row.push(''); });
+            }
+
+            var addedRows = Math.max(0, startRow + values.length - app.rows.length);
+            for (var m = 0; m < addedRows; m++) {
+                app.rows.push(app.cols.map(function() { return ''; }));
+            }
+
+            values.forEach(function(line, r) {
+                line.forEach(function(val, c) {
+                    var col = app.cols[startCol + c];
+                    if (col.type === 'formula') return;
+                    app.rows[startRow + r][startCol + c] = self.coerce(val, col);
+                });
+            });
+
+            return { addedRows: addedRows, addedCols: addedCols };
+        }
+    };
+
+    window.LiteStatsGridClipboard = GridClipboard;
+
+})(window, document);
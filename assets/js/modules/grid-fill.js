@@ -0,0 +1,383 @@
+/**
+ * LiteStats Pro - Grid Fill Module
+ *
+ * Fill handle for the editor grid: drag the square at the corner of the
+ * selection down, up, left or right to continue what the selection holds:
+ * - numbers: a linear series (1, 2 → 3, 4; a single number is copied)
+ * - dates: the same step in days, or in months when the day of month stays
+ *   or both are month ends (a single date steps one day)
+ * - month and weekday names and quarters, in the case they were typed
+ *   (Jan, Feb → Mar; Q4 2024 → Q1 2025)
+ * - text ending in a number (Week 1 → Week 2)
+ * - anything else is copied. Formula columns compute themselves and are
+ *   skipped.
+ *
+ * A fill is a single undo step.
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global LiteStatsGridUI, LiteStatsGridNav */
+
+(function(window, document) {
+    'use strict';
+
+    var LISTS = [
+        ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+        ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+        ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+    ];
+
+    var NUMERIC_TYPES = ['number', 'currency', 'percentage'];
+    var DAY_MS = 86400000;
+
+    var GridFill = {
+        table: null,
+        handle: null,
+        options: {},
+
+        /**
+         * Fill being dragged: { range, target } where target is the area the
+         * selection will be extended over.
+         */
+        drag: null,
+
+        /**
+         * Attach the fill handle to the grid table.
+         *
+         * @param {HTMLTableElement} table - The editor grid (#mainGrid).
+         * @param {Object} options - { onFill(changes) } where changes is [{ row, col, value }].
+         */
+        init: function(table, options) {
+            var self = this;
+            if (!table || !window.LiteStatsGridUI || !window.LiteStatsGridNav) return;
+
+            this.table = table;
+            this.options = options || {};
+
+            this.handle = document.createElement('span');
+            this.handle.className = 'fill-handle';
+            this.handle.addEventListener('mousedown', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                self.drag = { range: LiteStatsGridNav.range(), target: null };
+            });
+
+            document.addEventListener('mousemove', function(e) {
+                if (self.drag) self.onDrag(e);
+            });
+            document.addEventListener('mouseup', function() {
+                if (self.drag) self.finish();
+            });
+        },
+
+        /**
+         * Put the handle on the bottom-right cell of the selection, if that
+         * row is rendered. Called by GridNav whenever it paints.
+         */
+        placeHandle: function(range) {
+            if (!this.handle) return;
+            var input = range && this.table.querySelector('.cell-input[data-row-idx="' + range.bottom + '"][data-col-idx="' + range.right + '"]');
+            if (input) {
+                input.parentNode.appendChild(this.handle);
+            } else if (this.handle.parentNode) {
+                this.handle.parentNode.removeChild(this.handle);
+            }
+        },
+
+        onDrag: function(e) {
+            var range = this.drag.range;
+            var el = document.elementFromPoint(e.clientX, e.clientY);
+            var input = el && el.closest ? el.closest('.cell-input') : null;
+
+            // Scroll when dragging past the edge of the grid.
+            var scrollEl = LiteStatsGridUI.scrollEl;
+            if (scrollEl) {
+                var box = scrollEl.getBoundingClientRect();
+                if (e.clientY > box.bottom - 30) scrollEl.scrollTop += 20;
+                else if (e.clientY < box.top + 30) scrollEl.scrollTop -= 20;
+            }
+
+            if (!input || !this.table.contains(input)) return;
+            var row = parseInt(input.dataset.rowIdx, 10);
+            var col = parseInt(input.dataset.colIdx, 10);
+
+            var dRow = row > range.bottom ? row - range.bottom : (row < range.top ? row - range.top : 0);
+            var dCol = col > range.right ? col - range.right : (col < range.left ? col - range.left : 0);
+            var target = null;
+
+            if (dRow && Math.abs(dRow) >= Math.abs(dCol)) {
+                target = dRow > 0 ?
+                    { top: range.bottom + 1, bottom: row, left: range.left, right: range.right, dir: 'down' } :
+                    { top: row, bottom: range.top - 1, left: range.left, right: range.right, dir: 'up' };
+            } else if (dCol) {
+                target = dCol > 0 ?
+                    { top: range.top, bottom: range.bottom, left: range.right + 1, right: col, dir: 'right' } :
+                    { top: range.top, bottom: range.bottom, left: col, right: range.left - 1, dir: 'left' };
+            }
+
+            this.drag.target = target;
+            this.paintPreview(target);
+        },
+
+        paintPreview: function(target) {
+            this.table.querySelectorAll('.cell-fill-preview').forEach(function(td) {
+                td.classList.remove('cell-fill-preview');
+            });
+            if (!target) return;
+            this.table.querySelectorAll('tbody .cell-input').forEach(function(input) {
+                var row = parseInt(input.dataset.rowIdx, 10);
+                var col = parseInt(input.dataset.colIdx, 10);
+                if (row >= target.top && row <= target.bottom && col >= target.left && col <= target.right) {
+                    input.parentNode.classList.add('cell-fill-preview');
+                }
+            });
+        },
+
+        finish: function() {
+            var range = this.drag.range;
+            var target = this.drag.target;
+            this.drag = null;
+            this.paintPreview(null);
+            if (!range || !target) return;
+
+            var changes = this.changes(LiteStatsGridUI.app, range, target);
+            if (changes.length && typeof this.options.onFill === 'function') {
+                this.options.onFill(changes);
+            }
+
+            // Select the source and the filled area together.
+            LiteStatsGridNav.select(Math.min(range.top, target.top), Math.min(range.left, target.left), false);
+            LiteStatsGridNav.select(Math.max(range.bottom, target.bottom), Math.max(range.right, target.right), true);
+        },
+
+        /**
+         * Cell values for filling target from range.
+         *
+         * @param {Object} app - { cols, rows }
+         * @param {Object} range - Source { top, left, bottom, right }.
+         * @param {Object} target - Area to fill, with dir 'down', 'up', 'right' or 'left'.
+         * @returns {Array} [{ row, col, value }]
+         */
+        changes: function(app, range, target) {
+            var self = this;
+            var changes = [];
+            var vertical = target.dir === 'down' || target.dir === 'up';
+            var backwards = target.dir === 'up' || target.dir === 'left';
+            var count = vertical ? target.bottom - target.top + 1 : target.right - target.left + 1;
+
+            // Each column (vertical fill) or row (horizontal fill) is a series.
+            var lanes = vertical ? [range.left, range.right] : [range.top, range.bottom];
+            for (var lane = lanes[0]; lane <= lanes[1]; lane++) {
+                var source = [];
+                if (vertical) {
+                    for (var r = range.top; r <= range.bottom; r++) source.push(app.rows[r][lane]);
+                } else {
+                    for (var c = range.left; c <= range.right; c++) source.push(app.rows[lane][c]);
+                }
+                if (backwards) source.reverse();
+
+                var values = this.series(source, count);
+                values.forEach(function(value, i) {
+                    var step = backwards ? -(i + 1) : i + 1;
+                    var row = vertical ? (backwards ? range.top : range.bottom) + step : lane;
+                    var col = vertical ? lane : (backwards ? range.left : range.right) + step;
+                    var colDef = app.cols[col];
+                    if (!colDef || colDef.type === 'formula') return;
+                    changes.push({ row: row, col: col, value: self.toColumn(value, colDef) });
+                });
+            }
+            return changes;
+        },
+
+        /**
+         * Continue a series.
+         *
+         * @param {Array} source - Values in fill order.
+         * @param {number} count - How many values to produce.
+         * @returns {Array}
+         */
+        series: function(source, count) {
+            return this.numberSeries(source, count) ||
+                this.dateSeries(source, count) ||
+                this.listSeries(source, count) ||
+                this.suffixSeries(source, count) ||
+                this.copySeries(source, count);
+        },
+
+        numberSeries: function(source, count) {
+            var nums = source.map(toNumber);
+            if (source.length < 2 || nums.some(function(n) { return n === null; })) {
+                return null;
+            }
+
+            // Least-squares line through the source, as spreadsheets do.
+            var n = nums.length;
+            var meanX = (n - 1) / 2;
+            var meanY = nums.reduce(function(a, b) { return a + b; }, 0) / n;
+            var num = 0;
+            var den = 0;
+            nums.forEach(function(y, x) {
+                num += (x - meanX) * (y - meanY);
+                den += (x - meanX) * (x - meanX);
+            });
+            var slope = num / den;
+
+            var out = [];
+            for (var i = 0; i < count; i++) {
+                out.push(round(meanY + slope * (n + i - meanX)));
+            }
+            return out;
+        },
+
+        dateSeries: function(source, count) {
+            var dates = source.map(toDate);
+            if (dates.some(function(d) { return d === null; })) return null;
+
+            var last = dates[dates.length - 1];
+            var out = [];
+            var i;
+
+            if (dates.length > 1) {
+                var prev = dates[dates.length - 2];
+                var months = (last.getUTCFullYear() - prev.getUTCFullYear()) * 12 + last.getUTCMonth() - prev.getUTCMonth();
+                var monthEnds = isMonthEnd(last) && isMonthEnd(prev);
+                if (months && (last.getUTCDate() === prev.getUTCDate() || monthEnds)) {
+                    for (i = 1; i <= count; i++) {
+                        var next = addMonths(last, months * i);
+                        if (monthEnds) next = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0));
+                        out.push(isoDate(next));
+                    }
+                    return out;
+                }
+            }
+
+            var days = dates.length > 1 ? Math.round((last - dates[dates.length - 2]) / DAY_MS) : 1;
+            for (i = 1; i <= count; i++) out.push(isoDate(new Date(last.getTime() + days * i * DAY_MS)));
+            return out;
+        },
+
+        listSeries: function(source, count) {
+            // Quarters, with an optional year that rolls over after Q4.
+            var quarters = source.map(function(val) {
+                var m = String(val).trim().match(/^([Qq])([1-4])(\s+(\d{4}))?$/);
+                return m ? { q: m[1], n: parseInt(m[2], 10) - 1, year: m[4] ? parseInt(m[4], 10) : null } : null;
+            });
+            if (quarters.every(function(q) { return q; })) {
+                var lastQ = quarters[quarters.length - 1];
+                var absolute = function(q) { return (q.year || 0) * 4 + q.n; };
+                var qStep = quarters.length > 1 ? absolute(lastQ) - absolute(quarters[quarters.length - 2]) : 1;
+                var qOut = [];
+                for (var k = 1; k <= count; k++) {
+                    var idx = absolute(lastQ) + qStep * k;
+                    var quarter = ((idx % 4) + 4) % 4;
+                    qOut.push(lastQ.q + (quarter + 1) + (lastQ.year !== null ? ' ' + Math.floor(idx / 4) : ''));
+                }
+                return qOut;
+            }
+
+            for (var l = 0; l < LISTS.length; l++) {
+                var list = LISTS[l];
+                var lower = list.map(function(item) { return item.toLowerCase(); });
+                var positions = source.map(function(val) { return lower.indexOf(String(val).trim().toLowerCase()); });
+                if (positions.indexOf(-1) !== -1) continue;
+
+                var last = positions[positions.length - 1];
+                var step = positions.length > 1 ? last - positions[positions.length - 2] : 1;
+                var sample = String(source[source.length - 1]).trim();
+                var out = [];
+                for (var i = 1; i <= count; i++) {
+                    var item = list[(((last + step * i) % list.length) + list.length) % list.length];
+                    out.push(matchCase(item, sample));
+                }
+                return out;
+            }
+            return null;
+        },
+
+        suffixSeries: function(source, count) {
+            var parts = source.map(function(val) {
+                var m = typeof val === 'string' ? val.match(/^(.*\D)(\d+)$/) : null;
+                return m ? { prefix: m[1], num: parseInt(m[2], 10), width: m[2].length } : null;
+            });
+            if (parts.some(function(p) { return !p || p.prefix !== parts[0].prefix; })) return null;
+
+            var last = parts[parts.length - 1];
+            var step = parts.length > 1 ? last.num - parts[parts.length - 2].num : 1;
+            var out = [];
+            for (var i = 1; i <= count; i++) {
+                var num = Math.abs(last.num + step * i);
+                var digits = String(num);
+                while (digits.length < last.width) digits = '0' + digits;
+                out.push(last.prefix + digits);
+            }
+            return out;
+        },
+
+        copySeries: function(source, count) {
+            var out = [];
+            for (var i = 0; i < count; i++) out.push(source[i % source.length]);
+            return out;
+        },
+
+        /**
+         * Store a generated value the way its column holds values.
+         */
+        toColumn: function(value, col) {
+            if (typeof value === 'number' && NUMERIC_TYPES.indexOf(col.type) === -1) return String(value);
+            if (typeof value === 'string' && NUMERIC_TYPES.indexOf(col.type) !== -1 && toNumber(value) !== null) {
+                return toNumber(value);
+            }
+            return value;
+        }
+    };
+
+    function toNumber(val) {
+        if (typeof val === 'number') return isFinite(val) ? val : null;
+        if (typeof val !== 'string' || val.trim() === '' || !isFinite(val)) return null;
+        return parseFloat(val);
+    }
+
+    // Date-only values (2024-03-15, 3/15/2024) as UTC midnight.
+    function toDate(val) {
+        if (typeof val !== 'string') return null;
+        val = val.trim();
+        var m = val.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (m) return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+        if (!/^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}$/.test(val)) return null;
+        var d = new Date(val);
+        return isNaN(d.getTime()) ? null : new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+    }
+
+    function isoDate(d) {
+        return d.toISOString().substring(0, 10);
+    }
+
+    // Month arithmetic that keeps the day, capped at the month's last day.
+    function addMonths(d, months) {
+        var target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+        var lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+        target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+        return target;
+    }
+
+    function isMonthEnd(d) {
+        return new Date(d.getTime() + DAY_MS).getUTCDate() === 1;
+    }
+
+    // Drop floating point noise (0.1 + 0.2).
+    function round(n) {
+        return parseFloat(n.toFixed(10));
+    }
+
+    function matchCase(item, sample) {
+        if (sample === sample.toUpperCase()) return item.toUpperCase();
+        if (sample === sample.toLowerCase()) return item.toLowerCase();
+        return item;
+    }
+
+    window.LiteStatsGridFill = GridFill;
+
+})(window, document);
@@ -0,0 +1,346 @@
+/**
+ * LiteStats Pro - Grid Navigation Module
+ *
+ * Spreadsheet-style keyboard handling for the editor grid:
+ * - arrows, Enter/Shift+Enter and Tab/Shift+Tab move the active cell
+ * - Home/End go to the first/last column, Ctrl+Home/End to the first/last cell
+ * - Shift+arrow (or Shift+click) extends a rectangular selection
+ * - typing replaces the active cell, F2 or double-click edits it in place
+ *   and Escape cancels the edit
+ * - Delete/Backspace clears the selected cells
+ *
+ * Cells are addressed by row and column index, so the cursor and selection
+ * survive the grid re-rendering its row window.
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global LiteStatsGridUI, LiteStatsGridFill */
+
+(function(window, document) {
+    'use strict';
+
+    var GridNav = {
+        table: null,
+        options: {},
+
+        /**
+         * Active cell { row, col }, the selection's anchor and far corner,
+         * and whether the active cell is being edited (left/right move the
+         * caret instead of the cursor).
+         */
+        active: null,
+        anchor: null,
+        extent: null,
+        editing: false,
+
+        /**
+         * Attach keyboard navigation to the grid table.
+         *
+         * @param {HTMLTableElement} table - The editor grid (#mainGrid).
+         * @param {Object} options - { onClearCells(cells) } where cells is [{ row, col }].
+         */
+        init: function(table, options) {
+            var self = this;
+            if (!table || !window.LiteStatsGridUI) return;
+
+            this.table = table;
+            this.options = options || {};
+
+            // The table itself holds focus when the active cell scrolled out of the row window.
+            table.addEventListener('keydown', function(e) {
+                if (e.target.classList.contains('cell-input') || e.target === table) self.onKeyDown(e);
+            });
+
+            table.addEventListener('mousedown', function(e) {
+                if (!e.target.classList.contains('cell-input')) return;
+                var cell = self.cellOf(e.target);
+                if (e.shiftKey && self.active) {
+                    // Extend the selection, keeping focus on the active cell.
+                    e.preventDefault();
+                    self.select(cell.row, cell.col, true);
+                } else if (!self.active || cell.row !== self.active.row || cell.col !== self.active.col) {
+                    self.editing = false;
+                }
+            });
+
+            table.addEventListener('dblclick', function(e) {
+                if (e.target.classList.contains('cell-input')) self.startEdit(e.target, false);
+            });
+
+            table.addEventListener('focusin', function(e) {
+                if (!e.target.classList.contains('cell-input')) return;
+                var cell = self.cellOf(e.target);
+                if (!self.active || cell.row !== self.active.row || cell.col !== self.active.col) {
+                    self.select(cell.row, cell.col, false);
+                }
+            });
+
+            // A committed edit ends edit mode.
+            table.addEventListener('change', function(e) {
+                if (e.target.classList.contains('cell-input')) self.editing = false;
+            });
+        },
+
+        cellOf: function(input) {
+            return { row: parseInt(input.dataset.rowIdx, 10), col: parseInt(input.dataset.colIdx, 10) };
+        },
+
+        onKeyDown: function(e) {
+            var app = LiteStatsGridUI.app;
+            if (!app || !this.active) return;
+            var input = e.target === this.table ? null : e.target;
+
+            var ctrl = e.ctrlKey || e.metaKey;
+            // Shift+arrow moves the far corner of the selection.
+            var from = e.shiftKey && this.extent ? this.extent : this.active;
+            var row = from.row;
+            var col = from.col;
+            var lastRow = app.rows.length - 1;
+            var lastCol = app.cols.length - 1;
+
+            switch (e.key) {
+                case 'ArrowUp':
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.move(row + (e.key === 'ArrowUp' ? -1 : 1), col, e.shiftKey && !this.editing);
+                    return;
+
+                case 'ArrowLeft':
+                case 'ArrowRight':
+                    if (this.editing) return;
+                    e.preventDefault();
+                    this.move(row, col + (e.key === 'ArrowLeft' ? -1 : 1), e.shiftKey);
+                    return;
+
+                case 'Home':
+                case 'End':
+                    if (this.editing) return;
+                    e.preventDefault();
+                    var atEnd = e.key === 'End';
+                    this.move(ctrl ? (atEnd ? lastRow : 0) : row, atEnd ? lastCol : 0, e.shiftKey);
+                    return;
+
+                case 'Enter':
+                    e.preventDefault();
+                    this.move(this.active.row + (e.shiftKey ? -1 : 1), this.active.col, false);
+                    return;
+
+                case 'Tab':
+                    e.preventDefault();
+                    this.move(this.active.row, this.active.col + (e.shiftKey ? -1 : 1), false);
+                    return;
+
+                case 'F2':
+                    e.preventDefault();
+                    input = input || this.focusActive();
+                    if (input) this.startEdit(input, false);
+                    return;
+
+                case 'Escape':
+                    if (!this.editing || !input) return;
+                    e.preventDefault();
+                    input.value = input.defaultValue;
+                    this.editing = false;
+                    input.select();
+                    return;
+
+                case 'Delete':
+                case 'Backspace':
+                    if (this.editing) return;
+                    e.preventDefault();
+                    this.clearSelection();
+                    return;
+            }
+
+            // Typing a character replaces the cell's content.
+            if (!this.editing && e.key.length === 1 && !ctrl && !e.altKey) {
+                input = input || this.focusActive();
+                if (input) this.startEdit(input, true);
+            }
+        },
+
+        /**
+         * Scroll back to the active cell and focus it.
+         *
+         * @returns {HTMLInputElement|null}
+         */
+        focusActive: function() {
+            var input = LiteStatsGridUI.cellInput(this.active.row, this.active.col);
+            if (input) input.focus();
+            return input;
+        },
+
+        /**
+         * Put the cell in edit mode.
+         *
+         * @param {boolean} replace - Select the content so typing replaces it.
+         */
+        startEdit: function(input, replace) {
+            if (input.readOnly) return;
+            this.editing = true;
+            if (replace) {
+                input.select();
+            } else {
+                input.setSelectionRange(input.value.length, input.value.length);
+            }
+        },
+
+        /**
+         * Move the active cell, clamped to the grid, and focus it.
+         *
+         * @param {boolean} extend - Extend the selection instead of starting a new one.
+         */
+        move: function(row, col, extend) {
+            var app = LiteStatsGridUI.app;
+            row = Math.max(0, Math.min(app.rows.length - 1, row));
+            col = Math.max(0, Math.min(app.cols.length - 1, col));
+
+            if (extend) {
+                // The selection grows from the anchor; focus stays on the active cell.
+                this.select(row, col, true);
+                var far = LiteStatsGridUI.cellInput(row, col);
+                if (far && far.scrollIntoView) far.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                return;
+            }
+
+            this.commit();
+            this.select(row, col, false);
+            var input = LiteStatsGridUI.cellInput(row, col);
+            if (input) {
+                input.focus();
+                input.select();
+            }
+        },
+
+        /**
+         * Commit a pending edit of the focused cell before focus moves on.
+         */
+        commit: function() {
+            var input = document.activeElement;
+            if (input && input.classList.contains('cell-input') && input.value !== input.defaultValue) {
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        },
+
+        /**
+         * Set the active cell, or with extend the far corner of the selection.
+         */
+        select: function(row, col, extend) {
+            if (extend) {
+                this.anchor = this.anchor || this.active;
+                this.extent = { row: row, col: col };
+            } else {
+                this.active = { row: row, col: col };
+                this.anchor = null;
+                this.extent = null;
+                this.editing = false;
+            }
+            this.paint();
+        },
+
+        /**
+         * Selected rectangle { top, left, bottom, right }, or the active cell.
+         */
+        range: function() {
+            if (!this.active) return null;
+            var a = this.anchor || this.active;
+            var b = this.extent || this.active;
+            return {
+                top: Math.min(a.row, b.row),
+                left: Math.min(a.col, b.col),
+                bottom: Math.max(a.row, b.row),
+                right: Math.max(a.col, b.col)
+            };
+        },
+
+        /**
+         * Cells in the selection, as [{ row, col }].
+         */
+        selectedCells: function() {
+            var range = this.range();
+            var cells = [];
+            if (!range) return cells;
+            for (var r = range.top; r <= range.bottom; r++) {
+                for (var c = range.left; c <= range.right; c++) {
+                    cells.push({ row: r, col: c });
+                }
+            }
+            return cells;
+        },
+
+        clearSelection: function() {
+            var app = LiteStatsGridUI.app;
+            var cells = this.selectedCells().filter(function(cell) {
+                var val = app.rows[cell.row] ? app.rows[cell.row][cell.col] : '';
+                return app.cols[cell.col].type !== 'formula' && val !== '' && val !== null && val !== undefined;
+            });
+            if (cells.length && typeof this.options.onClearCells === 'function') {
+                this.options.onClearCells(cells);
+            }
+        },
+
+        /**
+         * Pull the active cell and the selection back inside the grid after
+         * rows or columns were removed (delete, undo, import), or drop them
+         * when the grid is empty.
+         */
+        clamp: function() {
+            var app = LiteStatsGridUI.app;
+            if (!this.active) return;
+            if (!app || !app.rows.length || !app.cols.length) {
+                this.active = this.anchor = this.extent = null;
+                this.editing = false;
+                return;
+            }
+            var inside = function(cell) {
+                return cell && {
+                    row: Math.min(cell.row, app.rows.length - 1),
+                    col: Math.min(cell.col, app.cols.length - 1)
+                };
+            };
+            this.active = inside(this.active);
+            this.anchor = inside(this.anchor);
+            this.extent = inside(this.extent);
+        },
+
+        /**
+         * Mark the active cell and the selection on the rendered rows. Called
+         * again by GridUI whenever it renders rows.
+         */
+        paint: function() {
+            this.clamp();
+            if (!this.table) return;
+            var tbody = this.table.querySelector('tbody');
+            if (!tbody) return;
+
+            tbody.querySelectorAll('.cell-active, .cell-in-range').forEach(function(td) {
+                td.classList.remove('cell-active', 'cell-in-range');
+            });
+
+            var range = this.range();
+            if (!range) return;
+            var multi = range.top !== range.bottom || range.left !== range.right;
+            var active = this.active;
+
+            tbody.querySelectorAll('.cell-input').forEach(function(input) {
+                var row = parseInt(input.dataset.rowIdx, 10);
+                var col = parseInt(input.dataset.colIdx, 10);
+                if (row === active.row && col === active.col) {
+                    input.parentNode.classList.add('cell-active');
+                }
+                if (multi && row >= range.top && row <= range.bottom && col >= range.left && col <= range.right) {
+                    input.parentNode.classList.add('cell-in-range');
+                }
+            });
+
+            if (window.LiteStatsGridFill) {
+                window.LiteStatsGridFill.placeHandle(range);
+            }
+        }
+    };
+
+    window.LiteStatsGridNav = GridNav;
+
+})(window, document);
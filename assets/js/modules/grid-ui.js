@@ -2,17 +2,23 @@
  * LiteStats Pro - Grid UI Module
  *
  * Handles grid rendering with Excel-style column letters (A, B, C...)
- * and row numbers (1, 2, 3...).
+ * and row numbers (1, 2, 3...). Only the rows near the visible part of
+ * the grid are in the DOM, so large tables stay editable.
  *
  * @package LiteStats\Pro
  * @since   5.1.0
  */
 
-/* global LiteStatsMathEngine, LiteStatsState, LiteStatsColToLetter, LiteStatsConditionalFormat */
+/* global LiteStatsMathEngine, LiteStatsState, LiteStatsColToLetter, LiteStatsConditionalFormat, LiteStatsGridNav */
 
 (function(window) {
     'use strict';
 
+    /**
+     * Rows rendered above and below the visible ones.
+     */
+    var OVERSCAN = 20;
+
     /**
      * Grid UI Manager.
      */
@@ -22,21 +28,56 @@
          */
         dragRowIdx: null,
 
+        /**
+         * Row window state: app and callbacks of the last render, scroll
+         * container, rendered row range and measured row height.
+         */
+        app: null,
+        options: null,
+        scrollEl: null,
+        eventsTable: null,
+        windowStart: -1,
+        windowEnd: -1,
+        rowHeight: 35,
+        restoringFocus: false,
+
+        /**
+         * Error code held by a cell value ('#DIV/0!'), or null.
+         */
+        errorCode: function(val) {
+            var ME = window.LiteStatsMathEngine;
+            return ME ? ME.errorCode(val) : null;
+        },
+
+        /**
+         * Tooltip for an error cell: the message recorded for that cell by the
+         * last recalculation, or the generic description of the code.
+         */
+        errorTitle: function(app, rIdx, cIdx, code) {
+            var messages = app.formulaErrors || {};
+            var message = messages[rIdx + ':' + cIdx] || new window.LiteStatsMathEngine.FormulaError(code).message;
+            return code + ' ' + message;
+        },
+
         /**
          * Format a cell value based on column properties.
          */
         formatValue: function(val, col) {
+            var errCode = this.errorCode(val);
+            if (errCode) return errCode;
+
             if (col.type === 'string') {
                 return val;
             }
 
-            // Date type
-            if (col.type === 'date') {
+            // Date type (formula columns hold dates as ISO strings)
+            if (col.type === 'date' || (col.type === 'formula' && /^\d{4}-\d{2}-\d{2}$/.test(val))) {
                 if (!val || val === '') return '';
                 try {
                     var d = new Date(val);
                     if (!isNaN(d.getTime())) {
-                        return d.toLocaleDateString();
+                        // Bare ISO dates parse as UTC midnight; format them in UTC so they do not shift a day.
+                        return /^\d{4}-\d{2}-\d{2}$/.test(val) ? d.toLocaleDateString(undefined, { timeZone: 'UTC' }) : d.toLocaleDateString();
                     }
                 } catch(e) { /* fall through */ }
                 return val;
@@ -120,8 +161,6 @@
                 return s;
             };
 
-            var condRules = (app.settings && app.settings.conditionalRules) || [];
-
             // === HEADERS ===
             var hHtml = '<tr><th class="row-num-header"></th>';
 
@@ -156,158 +195,362 @@
             thead.innerHTML = hHtml;
 
             // === ROWS ===
-            var bHtml = '';
-            var CF = window.LiteStatsConditionalFormat;
+            this.app = app;
+            this.options = options;
+            this.windowStart = -1;
+            this.windowEnd = -1;
+            this.bindScroll(tbody);
+            this.renderWindow(true);
+
+            this.renderFooter(app);
+            this.attachGridEvents(app, options);
 
-            app.rows.forEach(function(row, rIdx) {
-                var rowNum = rIdx + 1;
-                bHtml += '<tr>';
+            if (typeof options.onRenderComplete === 'function') {
+                options.onRenderComplete();
+            }
+        },
 
-                bHtml += '<td class="row-handle" draggable="true" data-row-idx="' + rIdx + '">' +
-                    '<span class="row-num">' + rowNum + '</span>' +
-                    '<i class="fas fa-grip-vertical row-grip"></i>' +
-                    '<i class="fas fa-times del-row" data-row-idx="' + rIdx + '"></i>' +
-                '</td>';
+        /**
+         * Render the rows around the visible part of the grid, with spacer
+         * rows standing in for the rest, so large tables stay responsive.
+         * Runs again while scrolling; the focused cell survives re-renders
+         * and an edit in a cell scrolled out of range is committed.
+         *
+         * @param {boolean} force - Render even if the visible rows are already rendered.
+         */
+        renderWindow: function(force) {
+            var app = this.app;
+            var tbody = document.getElementById('gridBody');
+            if (!app || !tbody) return;
 
-                row.forEach(function(cell, cIdx) {
-                    var col = app.cols[cIdx];
-                    var isFormula = col.type === 'formula';
-                    var displayVal = self.formatValue(cell, col);
+            var total = app.rows.length;
+            var scrollEl = this.scrollEl;
+            var thead = document.getElementById('gridHead');
+            var headHeight = thead ? thead.offsetHeight : 0;
+            var viewHeight = (scrollEl && scrollEl.clientHeight) || 600;
+            var scrollTop = scrollEl ? Math.max(0, scrollEl.scrollTop - headHeight) : 0;
+
+            var first = Math.min(total, Math.floor(scrollTop / this.rowHeight));
+            var last = Math.min(total, Math.ceil((scrollTop + viewHeight) / this.rowHeight));
+            var margin = OVERSCAN / 2;
+
+            if (!force &&
+                (first - margin >= this.windowStart || this.windowStart === 0) &&
+                (last + margin <= this.windowEnd || this.windowEnd === total)) {
+                return;
+            }
 
-                    var cls = 'cell-input';
-                    if (isFormula) cls += ' cell-calculated';
+            var start = Math.max(0, first - OVERSCAN);
+            var end = Math.min(total, last + OVERSCAN);
+
+            // Remember the focused cell and any edit not committed yet.
+            var focused = null;
+            var active = document.activeElement;
+            if (active && active.classList.contains('cell-input') && tbody.contains(active)) {
+                focused = {
+                    row: parseInt(active.dataset.rowIdx, 10),
+                    col: parseInt(active.dataset.colIdx, 10),
+                    value: active.value,
+                    edited: active.value !== active.defaultValue,
+                    selStart: active.selectionStart,
+                    selEnd: active.selectionEnd
+                };
+            }
 
-                    // Growth conditional formatting (legacy)
-                    if (col.name.toLowerCase().indexOf('growth') !== -1 || col.name.indexOf('%') !== -1) {
-                        var n = parseFloat(cell);
-                        if (n > 0) cls += ' val-pos';
-                        if (n < 0) cls += ' val-neg';
-                    }
+            var condRules = (app.settings && app.settings.conditionalRules) || [];
+            var CF = window.LiteStatsConditionalFormat;
+            var colSpan = app.cols.length + 1;
 
-                    // Conditional formatting rules
-                    var cellStyle = '';
-                    if (CF && condRules.length) {
-                        cellStyle = CF.getCellStyle(cell, cIdx, condRules);
-                    }
+            var bHtml = '';
+            if (start > 0) {
+                bHtml += '<tr class="grid-spacer"><td colspan="' + colSpan + '" style="height:' + (start * this.rowHeight) + 'px"></td></tr>';
+            }
+            for (var rIdx = start; rIdx < end; rIdx++) {
+                bHtml += this.rowHtml(app, rIdx, condRules, CF);
+            }
+            if (end < total) {
+                bHtml += '<tr class="grid-spacer"><td colspan="' + colSpan + '" style="height:' + ((total - end) * this.rowHeight) + 'px"></td></tr>';
+            }
+            tbody.innerHTML = bHtml;
 
-                    var readonly = isFormula ? 'readonly' : '';
+            this.windowStart = start;
+            this.windowEnd = end;
 
-                    bHtml += '<td>' +
-                        '<input class="' + cls + '" value="' + self.escapeHtml(String(displayVal)) + '" ' +
-                               readonly + ' data-row-idx="' + rIdx + '" data-col-idx="' + cIdx + '"' +
-                               (cellStyle ? ' style="' + cellStyle + '"' : '') + '>' +
-                    '</td>';
-                });
+            // Measure the real row height once rows are on screen.
+            var sample = tbody.querySelector('tr:not(.grid-spacer)');
+            if (sample && sample.offsetHeight) {
+                this.rowHeight = sample.offsetHeight;
+            }
 
-                bHtml += '</tr>';
-            });
+            if (focused) {
+                var input = tbody.querySelector('.cell-input[data-row-idx="' + focused.row + '"][data-col-idx="' + focused.col + '"]');
+                if (input) {
+                    input.value = focused.value;
+                    this.restoringFocus = true;
+                    input.focus({ preventScroll: true });
+                    this.restoringFocus = false;
+                    try {
+                        input.setSelectionRange(focused.selStart, focused.selEnd);
+                    } catch (e) { /* not a text input */ }
+                } else {
+                    if (focused.edited && this.options && typeof this.options.onCellChange === 'function') {
+                        this.options.onCellChange(focused.row, focused.col, focused.value);
+                    }
+                    // Keep keyboard focus in the grid.
+                    var table = document.getElementById('mainGrid');
+                    if (table) table.focus({ preventScroll: true });
+                }
+            }
 
-            tbody.innerHTML = bHtml;
+            if (window.LiteStatsGridNav) {
+                window.LiteStatsGridNav.paint();
+            }
+        },
 
-            this.attachGridEvents(app, options);
+        /**
+         * Input of a cell, scrolling its row into the row window first.
+         *
+         * @returns {HTMLInputElement|null}
+         */
+        cellInput: function(row, col) {
+            var tbody = document.getElementById('gridBody');
+            if (!tbody || !this.app || row < 0 || row >= this.app.rows.length) return null;
 
-            if (typeof options.onRenderComplete === 'function') {
-                options.onRenderComplete();
+            if ((row < this.windowStart || row >= this.windowEnd) && this.scrollEl) {
+                var thead = document.getElementById('gridHead');
+                var headHeight = thead ? thead.offsetHeight : 0;
+                this.scrollEl.scrollTop = headHeight + row * this.rowHeight - this.scrollEl.clientHeight / 2;
+                this.renderWindow(true);
             }
+            return tbody.querySelector('.cell-input[data-row-idx="' + row + '"][data-col-idx="' + col + '"]');
         },
 
         /**
-         * Attach event listeners to grid elements.
+         * HTML of one grid row.
          */
-        attachGridEvents: function(app, options) {
+        rowHtml: function(app, rIdx, condRules, CF) {
             var self = this;
-            options = options || {};
+            var row = app.rows[rIdx];
+            var html = '<tr>';
+
+            html += '<td class="row-handle" draggable="true" data-row-idx="' + rIdx + '">' +
+                '<span class="row-num">' + (rIdx + 1) + '</span>' +
+                '<i class="fas fa-grip-vertical row-grip"></i>' +
+                '<i class="fas fa-times del-row" data-row-idx="' + rIdx + '"></i>' +
+            '</td>';
+
+            row.forEach(function(cell, cIdx) {
+                var col = app.cols[cIdx];
+                var isFormula = col.type === 'formula';
+                var displayVal = self.formatValue(cell, col);
+
+                var cls = 'cell-input';
+                if (isFormula) cls += ' cell-calculated';
+
+                var errCode = self.errorCode(cell);
+                var title = '';
+                if (errCode) {
+                    cls += ' cell-error';
+                    title = self.errorTitle(app, rIdx, cIdx, errCode);
+                }
 
-            // Column header clicks
-            document.querySelectorAll('.th-inner').forEach(function(el) {
-                el.addEventListener('click', function(e) {
-                    if (e.target.classList.contains('col-move-left') ||
-                        e.target.classList.contains('col-delete') ||
-                        e.target.classList.contains('th-title') ||
-                        e.target.classList.contains('col-type-select')) {
-                        return;
-                    }
-                    var idx = parseInt(this.dataset.colIdx, 10);
-                    if (typeof options.onSelectColumn === 'function') {
-                        options.onSelectColumn(idx);
-                    }
-                });
-            });
+                // Growth conditional formatting (legacy)
+                if (col.name.toLowerCase().indexOf('growth') !== -1 || col.name.indexOf('%') !== -1) {
+                    var n = parseFloat(cell);
+                    if (n > 0) cls += ' val-pos';
+                    if (n < 0) cls += ' val-neg';
+                }
 
-            // Header title changes
-            document.querySelectorAll('.th-title').forEach(function(el) {
-                el.addEventListener('change', function() {
-                    var idx = parseInt(this.dataset.colIdx, 10);
-                    if (typeof options.onHeaderChange === 'function') {
-                        options.onHeaderChange(idx, this.value);
-                    }
-                });
+                // Conditional formatting rules
+                var cellStyle = '';
+                if (CF && condRules.length) {
+                    cellStyle = CF.getCellStyle(cell, cIdx, condRules);
+                }
+
+                var readonly = isFormula ? 'readonly' : '';
+
+                html += '<td>' +
+                    '<input class="' + cls + '" value="' + self.escapeHtml(String(displayVal)) + '" ' +
+                           readonly + ' data-row-idx="' + rIdx + '" data-col-idx="' + cIdx + '"' +
+                           (title ? ' title="' + self.escapeHtml(title) + '"' : '') +
+                           (cellStyle ? ' style="' + cellStyle + '"' : '') + '>' +
+                '</td>';
             });
 
-            // Column move left
-            document.querySelectorAll('.col-move-left').forEach(function(el) {
-                el.addEventListener('click', function(e) {
-                    e.stopPropagation();
-                    var idx = parseInt(this.dataset.idx, 10);
-                    if (typeof options.onMoveCol === 'function') {
-                        options.onMoveCol(idx, -1);
-                    }
+            return html + '</tr>';
+        },
+
+        /**
+         * Re-render the row window while the grid container scrolls.
+         */
+        bindScroll: function(tbody) {
+            var self = this;
+            var scrollEl = tbody.closest('.litestats-grid-container');
+            if (!scrollEl || scrollEl === this.scrollEl) return;
+
+            this.scrollEl = scrollEl;
+            var pending = false;
+            var onScroll = function() {
+                if (pending) return;
+                pending = true;
+                window.requestAnimationFrame(function() {
+                    pending = false;
+                    self.renderWindow(false);
                 });
+            };
+            scrollEl.addEventListener('scroll', onScroll);
+            window.addEventListener('resize', onScroll);
+        },
+
+        /**
+         * Refresh the displayed value of specific cells without re-rendering
+         * the grid (e.g. formula cells changed by an incremental recalc).
+         *
+         * @param {Object} app - Application state.
+         * @param {Array} cells - [{ row, col }]
+         */
+        refreshCells: function(app, cells) {
+            var self = this;
+            var tbody = document.getElementById('gridBody');
+            if (!tbody || !cells || !cells.length) return;
+
+            var condRules = (app.settings && app.settings.conditionalRules) || [];
+            var CF = window.LiteStatsConditionalFormat;
+
+            cells.forEach(function(cell) {
+                var input = tbody.querySelector('.cell-input[data-row-idx="' + cell.row + '"][data-col-idx="' + cell.col + '"]');
+                if (!input) return;
+                var val = app.rows[cell.row][cell.col];
+                input.value = input.defaultValue = self.formatValue(val, app.cols[cell.col]);
+
+                var errCode = self.errorCode(val);
+                input.classList.toggle('cell-error', !!errCode);
+                if (errCode) {
+                    input.title = self.errorTitle(app, cell.row, cell.col, errCode);
+                } else {
+                    input.removeAttribute('title');
+                }
+                input.style.cssText = (CF && condRules.length) ? CF.getCellStyle(val, cell.col, condRules) : '';
             });
 
-            // Column delete
-            document.querySelectorAll('.col-delete').forEach(function(el) {
-                el.addEventListener('click', function(e) {
-                    e.stopPropagation();
-                    var idx = parseInt(this.dataset.idx, 10);
-                    if (typeof options.onDelCol === 'function') {
-                        options.onDelCol(idx);
-                    }
-                });
+            this.renderFooter(app);
+        },
+
+        /**
+         * Render the totals row (settings.showFooter) from each column's
+         * footer aggregate (col.props.footer).
+         */
+        renderFooter: function(app) {
+            var tfoot = document.getElementById('gridFoot');
+            if (!tfoot) return;
+            if (!app.settings || !app.settings.showFooter || !window.LiteStatsMathEngine) {
+                tfoot.innerHTML = '';
+                return;
+            }
+
+            var self = this;
+            var html = '<tr><td class="row-handle footer-label">\u03A3</td>';
+            app.cols.forEach(function(col, cIdx) {
+                var kind = col.props && col.props.footer;
+                var text = self.footerText(kind, app.rows, app.cols, cIdx);
+                html += '<td class="footer-cell' + (self.errorCode(text) ? ' cell-error' : '') + '"' +
+                    (kind ? ' title="' + self.escapeHtml(kind) + '"' : '') + '>' + self.escapeHtml(text) + '</td>';
             });
+            tfoot.innerHTML = html + '</tr>';
+        },
 
-            // Column type change
-            document.querySelectorAll('.col-type-select').forEach(function(el) {
-                el.addEventListener('change', function(e) {
-                    e.stopPropagation();
-                    var idx = parseInt(this.dataset.colIdx, 10);
-                    if (typeof options.onColumnTypeChange === 'function') {
-                        options.onColumnTypeChange(idx, this.value);
-                    }
-                });
-                el.addEventListener('click', function(e) { e.stopPropagation(); });
+        /**
+         * Formatted totals-row value of a column over the given rows.
+         *
+         * @param {string} kind - Footer aggregate: 'sum', 'avg', 'count', 'min', 'max' or a formula.
+         * @returns {string}
+         */
+        footerText: function(kind, rows, cols, cIdx) {
+            if (!kind) return '';
+            var val = window.LiteStatsMathEngine.aggregate(kind, rows, cols, cIdx);
+            if (val === '' || this.errorCode(val)) return String(val);
+            return kind === 'count' ? String(val) : String(this.formatValue(val, cols[cIdx]));
+        },
+
+        /**
+         * Attach delegated event listeners to the grid table, once. Handlers
+         * read the app and callbacks of the latest renderGrid() call, so they
+         * also cover rows rendered later while scrolling.
+         */
+        attachGridEvents: function(app, options) {
+            var self = this;
+            var table = document.getElementById('mainGrid');
+            if (!table || table === this.eventsTable) return;
+            this.eventsTable = table;
+
+            var callback = function(name) {
+                var fn = self.options && self.options[name];
+                if (typeof fn === 'function') {
+                    fn.apply(null, Array.prototype.slice.call(arguments, 1));
+                }
+            };
+
+            table.addEventListener('click', function(e) {
+                var target = e.target;
+
+                // Column move left / delete
+                if (target.classList.contains('col-move-left')) {
+                    callback('onMoveCol', parseInt(target.dataset.idx, 10), -1);
+                    return;
+                }
+                if (target.classList.contains('col-delete')) {
+                    callback('onDelCol', parseInt(target.dataset.idx, 10));
+                    return;
+                }
+
+                // Row delete
+                if (target.classList.contains('del-row')) {
+                    callback('onDelRow', parseInt(target.dataset.rowIdx, 10));
+                    return;
+                }
+
+                // Column header clicks
+                var header = target.closest('.th-inner');
+                if (header && !target.classList.contains('th-title') && !target.classList.contains('col-type-select')) {
+                    callback('onSelectColumn', parseInt(header.dataset.colIdx, 10));
+                }
             });
 
-            // Cell input changes
-            document.querySelectorAll('.cell-input').forEach(function(el) {
-                el.addEventListener('change', function() {
-                    var rIdx = parseInt(this.dataset.rowIdx, 10);
-                    var cIdx = parseInt(this.dataset.colIdx, 10);
-                    if (typeof options.onCellChange === 'function') {
-                        options.onCellChange(rIdx, cIdx, this.value);
-                    }
-                });
+            table.addEventListener('change', function(e) {
+                var target = e.target;
+
+                // Header title changes
+                if (target.classList.contains('th-title')) {
+                    callback('onHeaderChange', parseInt(target.dataset.colIdx, 10), target.value);
+                } else if (target.classList.contains('col-type-select')) {
+                    // Column type change
+                    callback('onColumnTypeChange', parseInt(target.dataset.colIdx, 10), target.value);
+                } else if (target.classList.contains('cell-input')) {
+                    // Cell input changes (skipping one already committed)
+                    if (target.value === target.defaultValue) return;
+                    target.defaultValue = target.value;
+                    callback('onCellChange', parseInt(target.dataset.rowIdx, 10), parseInt(target.dataset.colIdx, 10), target.value);
+                }
             });
 
-            // Row delete
-            document.querySelectorAll('.del-row').forEach(function(el) {
-                el.addEventListener('click', function() {
-                    var idx = parseInt(this.dataset.rowIdx, 10);
-                    if (typeof options.onDelRow === 'function') {
-                        options.onDelRow(idx);
-                    }
-                });
+            // Keep the focused cell inside the rendered rows when tabbing.
+            table.addEventListener('focusin', function(e) {
+                if (e.target.classList.contains('cell-input') && !self.restoringFocus && e.target.scrollIntoView) {
+                    e.target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                }
             });
 
             // Drag & Drop
-            document.querySelectorAll('.row-handle').forEach(function(el) {
-                el.addEventListener('dragstart', function(e) {
-                    self.handleDragStart(e, parseInt(this.dataset.rowIdx, 10));
-                });
-                el.addEventListener('dragover', function(e) { e.preventDefault(); });
-                el.addEventListener('drop', function(e) {
-                    self.handleDrop(e, app, parseInt(this.dataset.rowIdx, 10), options);
-                });
+            table.addEventListener('dragstart', function(e) {
+                var handle = e.target.closest && e.target.closest('.row-handle');
+                if (handle) self.handleDragStart(e, parseInt(handle.dataset.rowIdx, 10));
+            });
+            table.addEventListener('dragover', function(e) {
+                if (e.target.closest('.row-handle')) e.preventDefault();
+            });
+            table.addEventListener('drop', function(e) {
+                var handle = e.target.closest('.row-handle');
+                if (handle) self.handleDrop(e, self.app, parseInt(handle.dataset.rowIdx, 10), self.options || {});
             });
         },
 
@@ -321,7 +564,9 @@
             e.preventDefault();
             if (this.dragRowIdx === null) return;
 
-            if (window.LiteStatsState) {
+            if (typeof options.onBeforeReorder === 'function') {
+                options.onBeforeReorder(this.dragRowIdx, targetIdx);
+            } else if (window.LiteStatsState) {
                 window.LiteStatsState.saveState(app);
             }
 
@@ -334,11 +579,15 @@
             }
         },
 
+        /**
+         * Escape text for HTML, quotes included: the result also goes into
+         * attribute values (value="…", title="…").
+         */
         escapeHtml: function(str) {
             if (typeof str !== 'string') return str;
             var div = document.createElement('div');
             div.textContent = str;
-            return div.innerHTML;
+            return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
         }
     };
 
@@ -0,0 +1,241 @@
+/**
+ * LiteStats Pro - History Panel Module
+ *
+ * Editor sidebar listing the undo history of LiteStatsState ("Edited B4",
+ * "Transposed table"), oldest first. Clicking an entry jumps to the state
+ * right after it; entries past the current one can be jumped to until a new
+ * change is made.
+ *
+ * Named snapshots ("Before Q3 cleanup") are full copies of the columns, rows
+ * and settings. They are kept in localStorage per chart, so they survive a
+ * page reload, and are cleared once the chart is saved. A chart not saved
+ * yet keeps them under a draft id that lasts as long as the browser tab and
+ * is renewed whenever a new editor is opened (not reloaded) in it.
+ *
+ * @package LiteStats\Pro
+ * @since   6.6.0
+ */
+
+/* global LiteStatsState, LiteStatsGridUI */
+
+(function(window, document) {
+    'use strict';
+
+    var STORAGE_PREFIX = 'litestats-pro-snapshots-';
+    var DRAFT_KEY = 'litestats-pro-draft';
+
+    var HistoryPanel = {
+        panel: null,
+        options: {},
+
+        /**
+         * Snapshots of this chart: [{ name, time, cols, rows, settings }].
+         * @type {Array}
+         */
+        snapshots: [],
+
+        /**
+         * Id of the unsaved chart being edited in this tab.
+         * @type {string|null}
+         */
+        draft: null,
+
+        /**
+         * Attach the panel.
+         *
+         * @param {HTMLElement} panel - The sidebar (#historyPanel).
+         * @param {Object} options - {
+         *     chartId,
+         *     strings: { start, trimmed, unlabeled, untitledSnapshot, deleteSnapshot },
+         *     onJump(position),
+         *     onRestore(snapshot),
+         *     onStorageFull()
+         * }
+         */
+        init: function(panel, options) {
+            var self = this;
+            if (!panel || !window.LiteStatsState) return;
+
+            this.panel = panel;
+            this.options = options || {};
+            this.snapshots = this.load();
+
+            panel.addEventListener('click', function(e) {
+                var remove = e.target.closest('.snapshot-delete');
+                if (remove) {
+                    self.removeSnapshot(parseInt(remove.dataset.idx, 10));
+                    return;
+                }
+                var snapshot = e.target.closest('.snapshot-item');
+                if (snapshot && typeof self.options.onRestore === 'function') {
+                    self.options.onRestore(self.snapshots[parseInt(snapshot.dataset.idx, 10)]);
+                    return;
+                }
+                var entry = e.target.closest('.history-item');
+                if (entry && typeof self.options.onJump === 'function') {
+                    self.options.onJump(parseInt(entry.dataset.position, 10));
+                }
+            });
+
+            var form = panel.querySelector('.snapshot-form');
+            if (form) {
+                form.addEventListener('submit', function(e) {
+                    e.preventDefault();
+                    var input = form.querySelector('input');
+                    self.addSnapshot(input.value);
+                    input.value = '';
+                });
+            }
+
+            this.render();
+        },
+
+        toggle: function() {
+            if (!this.panel) return;
+            this.panel.hidden = !this.panel.hidden;
+            this.render();
+        },
+
+        /**
+         * Redraw both lists. Does nothing while the panel is hidden.
+         */
+        render: function() {
+            if (!this.panel || this.panel.hidden) return;
+            var strings = this.options.strings || {};
+            var esc = LiteStatsGridUI.escapeHtml;
+
+            // Position 0 is the state the chart was opened in, or the one
+            // after the changes dropped from the start of a long history.
+            var entries = LiteStatsState.getEntries();
+            var first = entries.dropped ?
+                (strings.trimmed || '').replace('%d', entries.dropped) : strings.start;
+            var html = this.itemHtml(0, first, entries.position);
+            entries.labels.forEach(function(label, i) {
+                html += HistoryPanel.itemHtml(i + 1, label || strings.unlabeled, entries.position);
+            });
+            var list = this.panel.querySelector('.history-list');
+            list.innerHTML = html;
+
+            var current = list.querySelector('.history-current');
+            if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+
+            this.panel.querySelector('.snapshot-list').innerHTML = this.snapshots.map(function(snapshot, i) {
+                return '<li class="snapshot-item" data-idx="' + i + '">' +
+                    '<span class="snapshot-name">' + esc(snapshot.name) + '</span>' +
+                    '<span class="snapshot-time">' + new Date(snapshot.time).toLocaleString() + '</span>' +
+                    '<button type="button" class="snapshot-delete" data-idx="' + i + '" title="' +
+                        esc(strings.deleteSnapshot || '') + '">&times;</button>' +
+                '</li>';
+            }).join('');
+        },
+
+        itemHtml: function(position, label, current) {
+            var cls = 'history-item' +
+                (position === current ? ' history-current' : '') +
+                (position > current ? ' history-undone' : '');
+            return '<li class="' + cls + '" data-position="' + position + '">' +
+                LiteStatsGridUI.escapeHtml(label || '') + '</li>';
+        },
+
+        /**
+         * Save the editor's current state under a name.
+         */
+        addSnapshot: function(name) {
+            var app = LiteStatsGridUI.app;
+            if (!app) return;
+            var strings = this.options.strings || {};
+
+            name = String(name || '').trim() ||
+                (strings.untitledSnapshot || '').replace('%d', this.snapshots.length + 1);
+            this.snapshots.push(JSON.parse(JSON.stringify({
+                name: name,
+                time: Date.now(),
+                cols: app.cols,
+                rows: app.rows,
+                settings: app.settings
+            })));
+            this.store();
+            this.render();
+        },
+
+        removeSnapshot: function(idx) {
+            this.snapshots.splice(idx, 1);
+            this.store();
+            this.render();
+        },
+
+        /**
+         * Forget the snapshots, once the chart is saved.
+         *
+         * @param {number} chartId - Id a new chart was saved under, for later snapshots.
+         */
+        clearSnapshots: function(chartId) {
+            this.snapshots = [];
+            try {
+                window.localStorage.removeItem(this.storageKey());
+            } catch (e) { /* storage unavailable */ }
+            if (chartId) this.options.chartId = chartId;
+            this.render();
+        },
+
+        storageKey: function() {
+            return STORAGE_PREFIX + (this.options.chartId || 'draft-' + this.draftId());
+        },
+
+        /**
+         * Draft id of an unsaved chart. A reload keeps the tab's id; opening
+         * a new editor drops the previous draft's snapshots and starts over.
+         */
+        draftId: function() {
+            if (this.draft) return this.draft;
+            var id = Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+            try {
+                var previous = window.sessionStorage.getItem(DRAFT_KEY);
+                if (previous && isReload()) {
+                    id = previous;
+                } else {
+                    if (previous) window.localStorage.removeItem(STORAGE_PREFIX + 'draft-' + previous);
+                    window.sessionStorage.setItem(DRAFT_KEY, id);
+                }
+            } catch (e) { /* storage unavailable */ }
+            this.draft = id;
+            return id;
+        },
+
+        load: function() {
+            try {
+                var stored = JSON.parse(window.localStorage.getItem(this.storageKey()) || '[]');
+                return Array.isArray(stored) ? stored : [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+        /**
+         * Persist the snapshots. When they do not fit in storage they are
+         * kept for this page only.
+         */
+        store: function() {
+            try {
+                if (this.snapshots.length) {
+                    window.localStorage.setItem(this.storageKey(), JSON.stringify(this.snapshots));
+                } else {
+                    window.localStorage.removeItem(this.storageKey());
+                }
+            } catch (e) {
+                if (typeof this.options.onStorageFull === 'function') {
+                    this.options.onStorageFull();
+                }
+            }
+        }
+    };
+
+    function isReload() {
+        var performance = window.performance;
+        var nav = performance && performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+        return !!nav && nav.type === 'reload';
+    }
+
+    window.LiteStatsHistoryPanel = HistoryPanel;
+
+})(window, document);
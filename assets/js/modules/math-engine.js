@@ -4,8 +4,32 @@
  * Excel-style formula engine.
  * Columns are addressed by letters (A, B, C...), rows by numbers (1, 2, 3...).
  * Cell references: A1, B3. Column references: A, B (whole column for current row).
+ * Range references: A1:B5 (rectangle), B:D (whole columns), B2:B (open-ended).
+ * Columns by name: [2024 Sales], stored as {id} references (e.g. {c3}) that
+ * keep pointing at the column when it is renamed or moved; letter references
+ * are rewritten by remapColumns() and become #REF! when their column is deleted
+ * (a range shrinks to the columns that are left).
+ * Relative rows: B[-1] (previous row), B[1] (next row); rows outside the table
+ * read as empty. PREV, NEXT and OFFSET do the same as functions, CUMSUM and
+ * RUNNING aggregate from the first row down to the current one.
  * Supports: SUM, AVG, MIN, MAX, IF, CONCAT, ABS, ROUND, COUNT.
+ * Lookups: VLOOKUP, XLOOKUP, INDEX, MATCH (#N/A when nothing matches).
+ * Conditional aggregates: SUMIF, COUNTIF, AVERAGEIF, SUMIFS, COUNTIFS, AVERAGEIFS
+ * with spreadsheet criteria (">100", "<>EU", "Nor*", "?at").
+ * Dates: TODAY, DATE, YEAR, MONTH, DAY, WEEKNUM, EOMONTH, DATEDIF. Date columns
+ * read as dates; date - date gives days, date ± number shifts by days.
+ * Date results are stored as ISO strings (YYYY-MM-DD).
+ * Text: LEFT, RIGHT, MID, LEN, UPPER, LOWER, TRIM, SUBSTITUTE, FIND, TEXT, VALUE
+ * and the & concatenation operator ("Q" & A).
+ * Statistics: MEDIAN, MODE, STDEV/STDEV.S, STDEV.P, VAR/VAR.S, VAR.P, PERCENTILE,
+ * QUARTILE, PERCENTRANK, RANK, CORREL (e.g. =PERCENTRANK(B, B) ranks a row
+ * within its column).
+ * Logical: AND, OR, NOT, IF, IFS, SWITCH, IFERROR. IF, IFS, SWITCH and IFERROR
+ * only evaluate the branch they return, so =IF(B == 0, 0, A/B) is safe.
  * Operators: + - * / > < >= <= == != %
+ * Errors: #DIV/0!, #REF!, #NAME?, #VALUE!, #N/A, #CYCLE and #ERROR! (syntax)
+ * are FormulaError values that propagate through operators and functions.
+ * Custom functions: LiteStatsMathEngine.registerFunction() (see below).
  *
  * @package LiteStats\Pro
  * @since   5.1.0
@@ -43,57 +67,1413 @@
     window.LiteStatsColToLetter = colToLetter;
     window.LiteStatsLetterToCol = letterToCol;
 
+    var ERRORS = {
+        DIV0: '#DIV/0!',
+        REF: '#REF!',
+        NAME: '#NAME?',
+        VALUE: '#VALUE!',
+        NA: '#N/A',
+        CYCLE: '#CYCLE',
+        ERROR: '#ERROR!'
+    };
+
+    var ERROR_MESSAGES = {
+        '#DIV/0!': 'Division by zero',
+        '#REF!': 'Reference to a cell or column that does not exist',
+        '#NAME?': 'Unknown function name',
+        '#VALUE!': 'Wrong type of argument',
+        '#N/A': 'No matching value found',
+        '#CYCLE': 'Circular reference',
+        '#ERROR!': 'Formula could not be parsed'
+    };
+
+    // Codes written by earlier versions of the engine.
+    var LEGACY_ERRORS = {
+        '#DIV/0': '#DIV/0!',
+        '#REF': '#REF!',
+        '#VALUE': '#VALUE!',
+        '#ERR': '#ERROR!'
+    };
+
+    /**
+     * A formula error value. Functions and operators return these (helpers
+     * deep inside a function may throw one); anything that consumes an error
+     * returns it unchanged. Cells store the error's code string.
+     *
+     * @param {string} code - One of ERRORS.
+     * @param {string} [message] - Detail shown in the cell tooltip.
+     */
+    function FormulaError(code, message) {
+        this.code = code;
+        this.message = message || ERROR_MESSAGES[code] || code;
+    }
+
+    FormulaError.prototype.toString = function() {
+        return this.code;
+    };
+
+    function fail(code, message) {
+        return new FormulaError(code, message);
+    }
+
+    /**
+     * Message of a #CYCLE cell, e.g. "Circular reference: C → D → C".
+     */
+    function cycleMessage(cols) {
+        return ERROR_MESSAGES[ERRORS.CYCLE] + ': ' + MathEngine.describeCycle(cols);
+    }
+
+    function isError(v) {
+        return v instanceof FormulaError;
+    }
+
+    /**
+     * The error code a value stands for: a FormulaError, a stored code
+     * ('#DIV/0!') or a legacy one ('#DIV/0'). Null for anything else.
+     */
+    function errorCode(v) {
+        if (v instanceof FormulaError) return v.code;
+        if (typeof v !== 'string' || v.charAt(0) !== '#') return null;
+        if (LEGACY_ERRORS[v]) return LEGACY_ERRORS[v];
+        for (var k in ERRORS) {
+            if (ERRORS[k] === v) return v;
+        }
+        return null;
+    }
+
+    /**
+     * Collect the numeric values of function arguments.
+     * Direct arguments are coerced (blank/text → 0); values coming from a
+     * range are taken as-is and blank or text cells are skipped, like Excel.
+     * Dates count as their day number.
+     */
+    function collectNumbers(args) {
+        var nums = [];
+        args.forEach(function(arg) {
+            if (Array.isArray(arg)) {
+                flattenRange(arg).forEach(function(v) {
+                    if (isError(v)) throw v;
+                    if (typeof v === 'number' && !isNaN(v)) nums.push(v);
+                    if (v instanceof Date && !isNaN(v.getTime())) nums.push(dateToDays(v));
+                });
+            } else {
+                nums.push(arg instanceof Date ? dateToDays(arg) : (parseFloat(arg) || 0));
+            }
+        });
+        return nums;
+    }
+
+    /**
+     * Whether every value collectNumbers() counts is a date, so that MIN/MAX
+     * of a date column give a date.
+     */
+    function onlyDates(args) {
+        var counted = 0;
+        var dates = 0;
+        args.forEach(function(arg) {
+            (Array.isArray(arg) ? flattenRange(arg) : [arg]).forEach(function(v) {
+                if (v instanceof Date) dates++;
+                if (v instanceof Date || typeof v === 'number' || !Array.isArray(arg)) counted++;
+            });
+        });
+        return dates > 0 && dates === counted;
+    }
+
+    /**
+     * Flatten a 2D range value (array of rows) into a single array, row by row.
+     */
+    function flattenRange(range) {
+        var out = [];
+        range.forEach(function(item) {
+            if (Array.isArray(item)) {
+                out.push.apply(out, flattenRange(item));
+            } else {
+                out.push(item);
+            }
+        });
+        return out;
+    }
+
+    function isBlank(v) {
+        return v === '' || v === null || v === undefined;
+    }
+
+    var ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ][\d:.]+Z?)?$/;
+    // Text taken for a date where a date is expected: ISO or 1/31/2024.
+    var DATE_TEXT = /^(\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?|\d{1,2}\/\d{1,2}\/\d{2,4})$/;
+    var MS_PER_DAY = 86400000;
+
+    /**
+     * Coerce a value to a date (a Date at UTC midnight).
+     * Accepts Date objects, ISO strings (2024-01-31) and other strings the
+     * browser can parse (01/31/2024, Jan 31 2024).
+     *
+     * @returns {Date|null}
+     */
+    function toDate(v) {
+        if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+        if (typeof v !== 'string' || v.trim() === '') return null;
+
+        var iso = v.trim().match(ISO_DATE);
+        if (iso) return makeDate(+iso[1], +iso[2] - 1, +iso[3]);
+
+        if (!isNaN(Number(v))) return null;
+        var d = new Date(v);
+        if (isNaN(d.getTime())) return null;
+        return makeDate(d.getFullYear(), d.getMonth(), d.getDate());
+    }
+
+    /**
+     * Build a UTC date; month/day overflow rolls over like Excel's DATE().
+     */
+    function makeDate(year, month, day) {
+        return new Date(Date.UTC(year, month, day));
+    }
+
+    function dateToDays(d) {
+        return Math.round(d.getTime() / MS_PER_DAY);
+    }
+
+    function formatIsoDate(d) {
+        return d.toISOString().substring(0, 10);
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    }
+
+    /**
+     * Convert a value to text for string functions: dates as ISO strings.
+     */
+    function toText(v) {
+        if (v instanceof Date) return formatIsoDate(v);
+        if (v === null || v === undefined) return '';
+        return String(v);
+    }
+
+    var MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+        'August', 'September', 'October', 'November', 'December'];
+
+    /**
+     * Format a date with a spreadsheet pattern: yyyy, yy, mmmm, mmm, mm, m, dd, d.
+     */
+    function formatDatePattern(d, pattern) {
+        var y = d.getUTCFullYear(), m = d.getUTCMonth(), day = d.getUTCDate();
+        return pattern.replace(/yyyy|yy|mmmm|mmm|mm|m|dd|d/gi, function(tok) {
+            switch (tok.toLowerCase()) {
+                case 'yyyy': return String(y);
+                case 'yy': return String(y).slice(-2);
+                case 'mmmm': return MONTH_NAMES[m];
+                case 'mmm': return MONTH_NAMES[m].substring(0, 3);
+                case 'mm': return (m < 9 ? '0' : '') + (m + 1);
+                case 'm': return String(m + 1);
+                case 'dd': return (day < 10 ? '0' : '') + day;
+                default: return String(day);
+            }
+        });
+    }
+
+    /**
+     * Format a number with a spreadsheet pattern such as "0.00", "#,##0",
+     * "$#,##0.00" or "0.0%". Text around the digit pattern is kept as-is.
+     */
+    function formatNumberPattern(num, pattern) {
+        var match = pattern.match(/[#0,]*\.?[#0]*/g).filter(function(p) { return /[#0]/.test(p); })[0];
+        if (!match) return pattern;
+
+        var start = pattern.indexOf(match);
+        var prefix = pattern.substring(0, start);
+        var suffix = pattern.substring(start + match.length);
+        if (suffix.indexOf('%') !== -1) num = num * 100;
+
+        var dot = match.indexOf('.');
+        var decimals = dot === -1 ? 0 : match.length - dot - 1;
+        var text = Math.abs(num).toFixed(decimals);
+        if (match.indexOf(',') !== -1) {
+            var parts = text.split('.');
+            parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+            text = parts.join('.');
+        }
+        return (num < 0 ? '-' : '') + prefix + text + suffix;
+    }
+
+    /**
+     * Parse text as a number, ignoring currency symbols, thousands separators
+     * and a trailing percent sign.
+     *
+     * @returns {number} NaN when the text is not numeric.
+     */
+    function parseNumberText(v) {
+        if (typeof v === 'number') return v;
+        var text = toText(v).trim().replace(/[,\s]/g, '').replace(/^([-+]?)[^\d.\-+]+/, '$1');
+        var percent = text.charAt(text.length - 1) === '%';
+        if (percent) text = text.slice(0, -1);
+        if (text === '' || isNaN(Number(text))) return NaN;
+        return percent ? Number(text) / 100 : Number(text);
+    }
+
+    /**
+     * Truthiness of a condition: "TRUE"/"FALSE" text counts as the boolean,
+     * numbers are true when non-zero, blanks are false.
+     */
+    function isTruthy(v) {
+        if (typeof v === 'string') {
+            var upper = v.trim().toUpperCase();
+            if (upper === 'TRUE') return true;
+            if (upper === 'FALSE' || upper === '') return false;
+            return !isNaN(parseFloat(v)) ? parseFloat(v) !== 0 : true;
+        }
+        return !!v;
+    }
+
+    /**
+     * Collect booleans for AND/OR: direct args are coerced, blanks and text
+     * inside ranges are skipped.
+     */
+    function logicalValues(args) {
+        var vals = [];
+        args.forEach(function(arg) {
+            if (Array.isArray(arg)) {
+                flattenRange(arg).forEach(function(v) {
+                    if (isError(v)) throw v;
+                    if (typeof v === 'number' || typeof v === 'boolean') vals.push(!!v);
+                });
+            } else {
+                vals.push(isTruthy(arg));
+            }
+        });
+        return vals;
+    }
+
+    /**
+     * Lookup equality: numbers and dates compare numerically, text
+     * case-insensitively.
+     */
+    function lookupEquals(a, b) {
+        var na = toLookupNumber(a, b), nb = toLookupNumber(b, a);
+        if (na !== null && nb !== null) return na === nb;
+        return String(a).toLowerCase() === String(b).toLowerCase();
+    }
+
+    /**
+     * Lookup ordering for approximate matches: numbers before text,
+     * text compared case-insensitively.
+     */
+    function lookupCompare(a, b) {
+        var na = toLookupNumber(a, b), nb = toLookupNumber(b, a);
+        if (na !== null && nb !== null) return na - nb;
+        if (na !== null) return -1;
+        if (nb !== null) return 1;
+        var sa = String(a).toLowerCase(), sb = String(b).toLowerCase();
+        return sa < sb ? -1 : (sa > sb ? 1 : 0);
+    }
+
+    /**
+     * Number a lookup value compares as: numbers, numeric text and dates (as
+     * day numbers). Text that looks like a date counts as one when compared
+     * with a date.
+     *
+     * @param {*} v
+     * @param {*} [other] - The value v is compared with.
+     * @returns {number|null}
+     */
+    function toLookupNumber(v, other) {
+        if (typeof v === 'number') return v;
+        if (v instanceof Date) return isNaN(v.getTime()) ? null : dateToDays(v);
+        if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return Number(v);
+        if (other instanceof Date && typeof v === 'string' && DATE_TEXT.test(v.trim())) {
+            var date = toDate(v);
+            return date ? dateToDays(date) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Find a key in a list of values.
+     *
+     * @param {*} key - Value to find.
+     * @param {Array} list - Values to search.
+     * @param {number} mode - 0 exact, 1 largest value <= key (ascending list),
+     *                        -1 smallest value >= key (descending list).
+     * @returns {number} 0-based position or -1.
+     */
+    function findPosition(key, list, mode) {
+        var i;
+        if (mode === 0) {
+            for (i = 0; i < list.length; i++) {
+                if (lookupEquals(list[i], key)) return i;
+            }
+            return -1;
+        }
+
+        var found = -1;
+        for (i = 0; i < list.length; i++) {
+            if (isBlank(list[i])) continue;
+            var cmp = lookupCompare(list[i], key);
+            if (cmp === 0) return i;
+            if ((mode === 1 && cmp > 0) || (mode === -1 && cmp < 0)) break;
+            found = i;
+        }
+        return found;
+    }
+
+    /**
+     * Normalize a lookup argument into a 2D range (a scalar becomes 1×1).
+     */
+    function asRange(arg) {
+        if (Array.isArray(arg)) return arg;
+        return [[arg]];
+    }
+
+    /**
+     * Values of a one-dimensional range: a single row or a single column.
+     */
+    function rangeVector(range) {
+        if (range.length === 1) return range[0].slice();
+        return range.map(function(row) { return row[0]; });
+    }
+
+    /**
+     * Convert a spreadsheet wildcard pattern (* any run, ? one char, ~ escapes)
+     * into an anchored, case-insensitive RegExp.
+     */
+    function wildcardToRegExp(pattern) {
+        var re = '';
+        for (var i = 0; i < pattern.length; i++) {
+            var ch = pattern[i];
+            if (ch === '~' && i + 1 < pattern.length) {
+                re += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            } else if (ch === '*') {
+                re += '.*';
+            } else if (ch === '?') {
+                re += '.';
+            } else {
+                re += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp('^' + re + '$', 'i');
+    }
+
+    /**
+     * Build a predicate from a criteria argument: a plain value (equality),
+     * or a string with a comparison prefix (">100", "<=5", "<>EU", "=").
+     * Text criteria may use wildcards.
+     *
+     * A numeric comparison can also test a whole range's cached lookup
+     * numbers (see compareNumber() and matchingPositions()).
+     *
+     * @param {*} criteria
+     * @returns {Function} value → boolean
+     */
+    function parseCriteria(criteria) {
+        if (typeof criteria !== 'string') {
+            return function(v) { return !isBlank(v) && lookupEquals(v, criteria); };
+        }
+
+        var m = criteria.match(/^(<=|>=|<>|<|>|=)?([\s\S]*)$/);
+        var op = m[1] || '=';
+        var operand = m[2];
+        // A date operand (">2024-01-01") compares with dates by day.
+        var date = DATE_TEXT.test(operand.trim()) ? toDate(operand) : null;
+        var num = date ? dateToDays(date) : toLookupNumber(operand);
+
+        if (op === '=' || op === '<>') {
+            var matches;
+            if (operand === '') {
+                matches = isBlank;
+            } else if (num !== null) {
+                matches = function(v) { return toLookupNumber(v, date) === num; };
+                var test = op === '=' ? matches : function(v) { return !matches(v); };
+                return numericTest(test, op, num, date);
+            } else if (/[*?~]/.test(operand)) {
+                var re = wildcardToRegExp(operand);
+                matches = function(v) { return !isBlank(v) && re.test(String(v)); };
+            } else {
+                matches = function(v) { return !isBlank(v) && lookupEquals(v, operand); };
+            }
+            return op === '=' ? matches : function(v) { return !matches(v); };
+        }
+
+        return numericTest(function(v) {
+            if (isBlank(v)) return false;
+            var cmp;
+            if (num !== null) {
+                var nv = toLookupNumber(v, date);
+                if (nv === null) return false;
+                cmp = nv - num;
+            } else {
+                if (toLookupNumber(v) !== null) return false;
+                cmp = lookupCompare(v, operand);
+            }
+            switch (op) {
+                case '>': return cmp > 0;
+                case '<': return cmp < 0;
+                case '>=': return cmp >= 0;
+                case '<=': return cmp <= 0;
+            }
+            return false;
+        }, op, num, date);
+    }
+
+    /**
+     * Mark a criteria test that compares numbers, so that it can also be run
+     * on a cell's lookup number (see compareNumber()).
+     */
+    function numericTest(test, op, num, date) {
+        if (num !== null) {
+            test.op = op;
+            test.num = num;
+            test.byDate = !!date;
+        }
+        return test;
+    }
+
+    /**
+     * Run a numeric criteria test on a lookup number (NaN for blank or text
+     * cells, which pass only "<>").
+     */
+    function compareNumber(test, n) {
+        switch (test.op) {
+            case '=': return n === test.num;
+            case '<>': return n !== test.num;
+            case '>': return n > test.num;
+            case '<': return n < test.num;
+            case '>=': return n >= test.num;
+            case '<=': return n <= test.num;
+        }
+        return false;
+    }
+
+    /**
+     * Values derived from a range (sorted numbers, lookup numbers), kept for
+     * as long as the range itself. A recalculation reads each range once and
+     * hands every row the same array (see readRange()), so these are worked
+     * out once per pass instead of once per row.
+     */
+    var rangeCache = new WeakMap();
+
+    function fromRange(range, name, compute) {
+        var entry = rangeCache.get(range);
+        if (!entry) {
+            entry = {};
+            rangeCache.set(range, entry);
+        }
+        if (!Object.prototype.hasOwnProperty.call(entry, name)) entry[name] = compute(range);
+        return entry[name];
+    }
+
+    /**
+     * A range's lookup numbers (toLookupNumber(); NaN for none), row by row.
+     */
+    function lookupNumbers(range, byDate) {
+        return fromRange(range, byDate ? 'dayNumbers' : 'numbers', function() {
+            var other = byDate ? new Date(0) : undefined;
+            return flattenRange(range).map(function(v) {
+                var n = toLookupNumber(v, other);
+                return n === null ? NaN : n;
+            });
+        });
+    }
+
+    /**
+     * Positions in a criteria range that satisfy every (range, criteria)
+     * pair, as r * width + c with the width of the first range. Ranges are
+     * aligned by position, like Excel.
+     *
+     * @param {Array} pairs - [[range, criteria], ...]
+     * @returns {Array} Positions, in range order.
+     */
+    function matchingPositions(pairs) {
+        var first = asRange(pairs[0][0]);
+        var width = rangeWidth(first);
+        var tests = pairs.map(function(pair) {
+            var range = asRange(pair[0]);
+            var test = parseCriteria(pair[1]);
+            return {
+                range: range,
+                test: test,
+                // Numeric comparisons test the range's cached lookup numbers.
+                numbers: test.op && rangeWidth(range) === width ? lookupNumbers(range, test.byDate) : null
+            };
+        });
+        var out = [];
+        var count = first.length * width;
+        for (var p = 0; p < count; p++) {
+            var ok = true;
+            for (var i = 0; ok && i < tests.length; i++) {
+                var t = tests[i];
+                if (t.numbers) {
+                    ok = p < t.numbers.length && compareNumber(t.test, t.numbers[p]);
+                } else {
+                    var line = t.range[(p / width) | 0];
+                    ok = line !== undefined && t.test(line[p % width]);
+                }
+            }
+            if (ok) out.push(p);
+        }
+        return out;
+    }
+
+    /**
+     * Numeric values at the given positions of a range (text/blank skipped).
+     *
+     * @param {Array} positions - From matchingPositions().
+     * @param {number} width - Width of the range the positions refer to.
+     */
+    function numbersAt(range, positions, width) {
+        range = asRange(range);
+        var values = rangeWidth(range) === width ? fromRange(range, 'values', flattenRange) : null;
+        var nums = [];
+        for (var i = 0; i < positions.length; i++) {
+            var p = positions[i];
+            var v;
+            if (values) {
+                v = values[p];
+            } else {
+                var line = range[(p / width) | 0];
+                v = line ? line[p % width] : undefined;
+            }
+            if (isError(v)) throw v;
+            if (typeof v === 'number' && !isNaN(v)) nums.push(v);
+        }
+        return nums;
+    }
+
+    function rangeWidth(range) {
+        range = asRange(range);
+        return range[0] ? range[0].length : 0;
+    }
+
+    /**
+     * Split the arguments of a *IFS function into (range, criteria) pairs.
+     */
+    function criteriaPairs(args, offset) {
+        var pairs = [];
+        for (var i = offset; i + 1 < args.length; i += 2) {
+            pairs.push([args[i], args[i + 1]]);
+        }
+        return pairs;
+    }
+
+    function sumOf(nums) {
+        return nums.reduce(function(a, b) { return a + b; }, 0);
+    }
+
+    /**
+     * The numbers of the arguments, ascending. A single range is sorted once
+     * per recalculation; the result is shared, so it must not be modified.
+     */
+    function sortedNumbers(args) {
+        var sort = function(nums) { return nums.sort(function(a, b) { return a - b; }); };
+        if (args.length === 1 && Array.isArray(args[0])) {
+            return fromRange(args[0], 'sorted', function(range) { return sort(collectNumbers([range])); });
+        }
+        return sort(collectNumbers(args));
+    }
+
+    /**
+     * Number of sorted values below x (or not above x when `orEqual`).
+     */
+    function countBelow(sorted, x, orEqual) {
+        var lo = 0, hi = sorted.length;
+        while (lo < hi) {
+            var mid = (lo + hi) >> 1;
+            if (sorted[mid] < x || (orEqual && sorted[mid] === x)) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Variance of the numbers: sample (n - 1) or population (n).
+     */
+    function variance(nums, sample) {
+        var n = nums.length;
+        if (n < (sample ? 2 : 1)) return fail(ERRORS.DIV0);
+        var mean = sumOf(nums) / n;
+        var sq = nums.reduce(function(acc, v) { return acc + (v - mean) * (v - mean); }, 0);
+        return sq / (sample ? n - 1 : n);
+    }
+
+    function standardDeviation(nums, sample) {
+        var v = variance(nums, sample);
+        return isError(v) ? v : Math.sqrt(v);
+    }
+
+    /**
+     * Inclusive percentile (Excel PERCENTILE.INC) of sorted numbers,
+     * interpolating between neighbours.
+     */
+    function percentileOf(sorted, k) {
+        if (!sorted.length) return fail(ERRORS.NA);
+        if (isNaN(k) || k < 0 || k > 1) return fail(ERRORS.VALUE, 'Percentile must be between 0 and 1');
+        var pos = k * (sorted.length - 1);
+        var lo = Math.floor(pos);
+        var hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
     /**
      * Built-in functions.
      */
     var FUNCTIONS = {
         SUM: function(args) {
-            return args.reduce(function(a, b) { return a + (parseFloat(b) || 0); }, 0);
+            return collectNumbers(args).reduce(function(a, b) { return a + b; }, 0);
         },
         AVG: function(args) {
-            var sum = args.reduce(function(a, b) { return a + (parseFloat(b) || 0); }, 0);
-            return args.length > 0 ? sum / args.length : 0;
+            var nums = collectNumbers(args);
+            var sum = nums.reduce(function(a, b) { return a + b; }, 0);
+            return nums.length > 0 ? sum / nums.length : 0;
         },
         MAX: function(args) {
-            var nums = args.map(function(v) { return parseFloat(v) || 0; });
-            return Math.max.apply(null, nums);
+            var nums = collectNumbers(args);
+            if (!nums.length) return 0;
+            var max = Math.max.apply(null, nums);
+            return onlyDates(args) ? makeDate(1970, 0, 1 + max) : max;
         },
         MIN: function(args) {
-            var nums = args.map(function(v) { return parseFloat(v) || 0; });
-            return Math.min.apply(null, nums);
+            var nums = collectNumbers(args);
+            if (!nums.length) return 0;
+            var min = Math.min.apply(null, nums);
+            return onlyDates(args) ? makeDate(1970, 0, 1 + min) : min;
+        },
+        COUNT: function(args) {
+            var count = 0;
+            args.forEach(function(arg) {
+                var vals = Array.isArray(arg) ? flattenRange(arg) : [arg];
+                vals.forEach(function(v) { if (!isBlank(v) && !isError(v)) count++; });
+            });
+            return count;
+        },
+        ABS: function(args) {
+            return Math.abs(parseFloat(args[0]) || 0);
+        },
+        ROUND: function(args) {
+            var num = parseFloat(args[0]) || 0;
+            var dec = parseInt(args[1]) || 0;
+            return Number(num.toFixed(dec));
+        },
+        AND: function(args) {
+            var vals = logicalValues(args);
+            return vals.length > 0 && vals.every(function(v) { return v; });
+        },
+        OR: function(args) {
+            return logicalValues(args).some(function(v) { return v; });
+        },
+        NOT: function(args) {
+            return !isTruthy(args[0]);
+        },
+        CONCAT: function(args) {
+            return args.map(toText).join('');
+        },
+
+        // VLOOKUP(key, range, colIndex, [approximate=TRUE])
+        VLOOKUP: function(args) {
+            var range = asRange(args[1]);
+            var colIdx = parseInt(args[2], 10);
+            var approximate = args.length < 4 ? true : !!args[3];
+            if (isNaN(colIdx) || colIdx < 1 || (range[0] && colIdx > range[0].length)) return fail(ERRORS.REF);
+
+            var firstCol = range.map(function(row) { return row[0]; });
+            var pos = findPosition(args[0], firstCol, approximate ? 1 : 0);
+            return pos === -1 ? fail(ERRORS.NA) : range[pos][colIdx - 1];
+        },
+
+        // XLOOKUP(key, lookupRange, returnRange, [ifNotFound], [matchMode=0])
+        // matchMode: 0 exact, -1 exact or next smaller, 1 exact or next larger.
+        XLOOKUP: function(args) {
+            var lookup = rangeVector(asRange(args[1]));
+            var returns = asRange(args[2]);
+            var mode = parseInt(args[4], 10) || 0;
+            var pos = -1;
+
+            for (var i = 0; i < lookup.length; i++) {
+                if (lookupEquals(lookup[i], args[0])) { pos = i; break; }
+            }
+            if (pos === -1 && mode !== 0) {
+                var best = null;
+                lookup.forEach(function(v, idx) {
+                    if (isBlank(v)) return;
+                    var cmp = lookupCompare(v, args[0]);
+                    if ((mode === -1 && cmp < 0 && (best === null || lookupCompare(v, lookup[best]) > 0)) ||
+                        (mode === 1 && cmp > 0 && (best === null || lookupCompare(v, lookup[best]) < 0))) {
+                        best = idx;
+                    }
+                });
+                if (best !== null) pos = best;
+            }
+
+            if (pos === -1) return args.length > 3 ? args[3] : fail(ERRORS.NA);
+
+            // Vertical lookup range → pick the row; horizontal → pick the column.
+            if (returns.length === 1 && lookup.length > 1) return returns[0][pos];
+            return returns[pos] ? returns[pos][0] : fail(ERRORS.NA);
+        },
+
+        // INDEX(range, row, [col])
+        INDEX: function(args) {
+            var range = asRange(args[0]);
+            var r = parseInt(args[1], 10) || 0;
+            var c = args.length > 2 ? (parseInt(args[2], 10) || 0) : 1;
+
+            // A single row with one index picks the column.
+            if (range.length === 1 && args.length === 2) { c = r; r = 1; }
+            if (r < 1 || c < 1 || r > range.length || c > range[r - 1].length) return fail(ERRORS.REF);
+            return range[r - 1][c - 1];
+        },
+
+        // MATCH(key, range, [matchType=1]) → 1-based position
+        MATCH: function(args) {
+            var type = args.length > 2 ? (parseInt(args[2], 10) || 0) : 1;
+            var pos = findPosition(args[0], rangeVector(asRange(args[1])), type > 0 ? 1 : (type < 0 ? -1 : 0));
+            return pos === -1 ? fail(ERRORS.NA) : pos + 1;
+        },
+
+        // SUMIF(range, criteria, [sumRange])
+        SUMIF: function(args) {
+            var positions = matchingPositions([[args[0], args[1]]]);
+            return sumOf(numbersAt(args.length > 2 ? args[2] : args[0], positions, rangeWidth(args[0])));
+        },
+
+        // COUNTIF(range, criteria)
+        COUNTIF: function(args) {
+            return matchingPositions([[args[0], args[1]]]).length;
+        },
+
+        // AVERAGEIF(range, criteria, [averageRange])
+        AVERAGEIF: function(args) {
+            var nums = numbersAt(args.length > 2 ? args[2] : args[0], matchingPositions([[args[0], args[1]]]), rangeWidth(args[0]));
+            return nums.length ? sumOf(nums) / nums.length : fail(ERRORS.DIV0);
+        },
+
+        // SUMIFS(sumRange, range1, criteria1, [range2, criteria2], ...)
+        SUMIFS: function(args) {
+            return sumOf(numbersAt(args[0], matchingPositions(criteriaPairs(args, 1)), rangeWidth(args[1])));
+        },
+
+        // COUNTIFS(range1, criteria1, [range2, criteria2], ...)
+        COUNTIFS: function(args) {
+            return matchingPositions(criteriaPairs(args, 0)).length;
+        },
+
+        // AVERAGEIFS(averageRange, range1, criteria1, [range2, criteria2], ...)
+        AVERAGEIFS: function(args) {
+            var nums = numbersAt(args[0], matchingPositions(criteriaPairs(args, 1)), rangeWidth(args[1]));
+            return nums.length ? sumOf(nums) / nums.length : fail(ERRORS.DIV0);
+        },
+
+        MEDIAN: function(args) {
+            return percentileOf(sortedNumbers(args), 0.5);
+        },
+
+        // Most frequent number; the first one wins a tie
+        MODE: function(args) {
+            var nums = collectNumbers(args);
+            var counts = {};
+            var best = null, bestCount = 1;
+            nums.forEach(function(v) {
+                counts[v] = (counts[v] || 0) + 1;
+                if (counts[v] > bestCount) { best = v; bestCount = counts[v]; }
+            });
+            if (best === null) return fail(ERRORS.NA, 'No value occurs more than once');
+
+            // Prefer the value that appears first among equally frequent ones.
+            for (var i = 0; i < nums.length; i++) {
+                if (counts[nums[i]] === bestCount) return nums[i];
+            }
+            return best;
+        },
+
+        STDEV: function(args) {
+            return standardDeviation(collectNumbers(args), true);
+        },
+
+        'STDEV.S': function(args) {
+            return standardDeviation(collectNumbers(args), true);
+        },
+
+        'STDEV.P': function(args) {
+            return standardDeviation(collectNumbers(args), false);
+        },
+
+        VAR: function(args) {
+            return variance(collectNumbers(args), true);
+        },
+
+        'VAR.S': function(args) {
+            return variance(collectNumbers(args), true);
+        },
+
+        'VAR.P': function(args) {
+            return variance(collectNumbers(args), false);
+        },
+
+        // PERCENTILE(range, k) with k between 0 and 1
+        PERCENTILE: function(args) {
+            return percentileOf(sortedNumbers([args[0]]), parseFloat(args[1]));
+        },
+
+        // QUARTILE(range, quart) with quart 0 (min) to 4 (max)
+        QUARTILE: function(args) {
+            var q = parseInt(args[1], 10);
+            if (isNaN(q) || q < 0 || q > 4) return fail(ERRORS.VALUE, 'Quartile must be 0 to 4');
+            return percentileOf(sortedNumbers([args[0]]), q / 4);
+        },
+
+        // PERCENTRANK(range, x, [significance=3]): share of values below x, 0 to 1
+        PERCENTRANK: function(args) {
+            var sorted = sortedNumbers([args[0]]);
+            var x = parseFloat(args[1]);
+            var digits = args.length > 2 ? parseInt(args[2], 10) : 3;
+            if (!sorted.length || isNaN(x) || x < sorted[0] || x > sorted[sorted.length - 1]) return fail(ERRORS.NA);
+            if (isNaN(digits) || digits < 1) return fail(ERRORS.VALUE);
+            if (sorted.length === 1) return 1;
+
+            var below = countBelow(sorted, x, false);
+            var rank = below;
+            // Between two values: interpolate.
+            if (sorted[below] !== x) {
+                rank = below - 1 + (x - sorted[below - 1]) / (sorted[below] - sorted[below - 1]);
+            }
+            var factor = Math.pow(10, digits);
+            return Math.floor(rank / (sorted.length - 1) * factor) / factor;
+        },
+
+        // RANK(value, range, [order=0]): 0 ranks the largest as 1, 1 the smallest
+        RANK: function(args) {
+            var value = parseFloat(args[0]);
+            var sorted = sortedNumbers([args[1]]);
+            var ascending = !!parseFloat(args[2]);
+            var below = countBelow(sorted, value, false);
+            if (isNaN(value) || sorted[below] !== value) return fail(ERRORS.NA);
+            return 1 + (ascending ? below : sorted.length - countBelow(sorted, value, true));
+        },
+
+        // CORREL(range1, range2): Pearson correlation of paired numbers
+        CORREL: function(args) {
+            var xs = flattenRange(asRange(args[0]));
+            var ys = flattenRange(asRange(args[1]));
+            if (xs.length !== ys.length) return fail(ERRORS.NA, 'Ranges must be the same size');
+
+            var px = [], py = [];
+            xs.forEach(function(x, i) {
+                if (isError(x)) throw x;
+                if (isError(ys[i])) throw ys[i];
+                if (typeof x === 'number' && typeof ys[i] === 'number') {
+                    px.push(x);
+                    py.push(ys[i]);
+                }
+            });
+            if (px.length < 2) return fail(ERRORS.DIV0);
+
+            var mx = sumOf(px) / px.length, my = sumOf(py) / py.length;
+            var sxy = 0, sxx = 0, syy = 0;
+            px.forEach(function(x, i) {
+                sxy += (x - mx) * (py[i] - my);
+                sxx += (x - mx) * (x - mx);
+                syy += (py[i] - my) * (py[i] - my);
+            });
+            if (sxx === 0 || syy === 0) return fail(ERRORS.DIV0);
+            return sxy / Math.sqrt(sxx * syy);
+        },
+
+        LEFT: function(args) {
+            var n = args.length > 1 ? parseInt(args[1], 10) : 1;
+            if (isNaN(n) || n < 0) return fail(ERRORS.VALUE);
+            return toText(args[0]).substring(0, n);
+        },
+
+        RIGHT: function(args) {
+            var n = args.length > 1 ? parseInt(args[1], 10) : 1;
+            if (isNaN(n) || n < 0) return fail(ERRORS.VALUE);
+            var text = toText(args[0]);
+            return n === 0 ? '' : text.slice(-n);
+        },
+
+        // MID(text, start, length) with a 1-based start
+        MID: function(args) {
+            var start = parseInt(args[1], 10), n = parseInt(args[2], 10);
+            if (isNaN(start) || isNaN(n) || start < 1 || n < 0) return fail(ERRORS.VALUE);
+            return toText(args[0]).substr(start - 1, n);
+        },
+
+        LEN: function(args) {
+            return toText(args[0]).length;
+        },
+
+        UPPER: function(args) {
+            return toText(args[0]).toUpperCase();
+        },
+
+        LOWER: function(args) {
+            return toText(args[0]).toLowerCase();
+        },
+
+        // Strip leading/trailing spaces and collapse inner runs to one space
+        TRIM: function(args) {
+            return toText(args[0]).replace(/\s+/g, ' ').trim();
+        },
+
+        // SUBSTITUTE(text, old, new, [instance]): replace all, or only the nth match
+        SUBSTITUTE: function(args) {
+            var text = toText(args[0]), from = toText(args[1]), to = toText(args[2]);
+            if (from === '') return text;
+            if (args.length < 4) return text.split(from).join(to);
+
+            var instance = parseInt(args[3], 10);
+            if (isNaN(instance) || instance < 1) return fail(ERRORS.VALUE);
+            var pos = -1;
+            for (var i = 0; i < instance; i++) {
+                pos = text.indexOf(from, pos + 1);
+                if (pos === -1) return text;
+            }
+            return text.substring(0, pos) + to + text.substring(pos + from.length);
+        },
+
+        // FIND(needle, text, [start]): case-sensitive, 1-based position
+        FIND: function(args) {
+            var start = args.length > 2 ? parseInt(args[2], 10) : 1;
+            var text = toText(args[1]);
+            if (isNaN(start) || start < 1 || start > text.length + 1) return fail(ERRORS.VALUE);
+            var pos = text.indexOf(toText(args[0]), start - 1);
+            return pos === -1 ? fail(ERRORS.VALUE) : pos + 1;
+        },
+
+        // TEXT(value, format): "0.00", "#,##0", "0%", "$#,##0.00", "yyyy-mm-dd", "mmm d, yyyy"
+        TEXT: function(args) {
+            var format = toText(args[1]);
+            var date = args[0] instanceof Date ? args[0] : null;
+            if (!date && /[ymd]/i.test(format) && typeof args[0] === 'string') date = toDate(args[0]);
+            if (date) return formatDatePattern(date, format);
+
+            var num = parseNumberText(args[0]);
+            if (isNaN(num)) return toText(args[0]);
+            return formatNumberPattern(num, format);
+        },
+
+        // VALUE(text): "$1,200.50" -> 1200.5, "15%" -> 0.15
+        VALUE: function(args) {
+            if (args[0] instanceof Date) return dateToDays(args[0]);
+            var num = parseNumberText(args[0]);
+            return isNaN(num) ? fail(ERRORS.VALUE) : num;
+        },
+
+        TODAY: function() {
+            var now = new Date();
+            return makeDate(now.getFullYear(), now.getMonth(), now.getDate());
+        },
+
+        // DATE(year, month, day)
+        DATE: function(args) {
+            var y = parseInt(args[0], 10), m = parseInt(args[1], 10), d = parseInt(args[2], 10);
+            if (isNaN(y) || isNaN(m) || isNaN(d)) return fail(ERRORS.VALUE);
+            return makeDate(y, m - 1, d);
+        },
+
+        YEAR: function(args) {
+            var d = toDate(args[0]);
+            return d ? d.getUTCFullYear() : fail(ERRORS.VALUE);
+        },
+
+        MONTH: function(args) {
+            var d = toDate(args[0]);
+            return d ? d.getUTCMonth() + 1 : fail(ERRORS.VALUE);
+        },
+
+        DAY: function(args) {
+            var d = toDate(args[0]);
+            return d ? d.getUTCDate() : fail(ERRORS.VALUE);
+        },
+
+        // WEEKNUM(date, [type=1]): 1 weeks start Sunday, 2 Monday, 21 ISO 8601.
+        WEEKNUM: function(args) {
+            var d = toDate(args[0]);
+            if (!d) return fail(ERRORS.VALUE);
+            var type = args.length > 1 ? parseInt(args[1], 10) : 1;
+
+            if (type === 21) {
+                // ISO week: the week with the year's first Thursday is week 1.
+                var thursday = makeDate(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 3 - ((d.getUTCDay() + 6) % 7));
+                var yearStart = makeDate(thursday.getUTCFullYear(), 0, 1);
+                return Math.floor((dateToDays(thursday) - dateToDays(yearStart)) / 7) + 1;
+            }
+
+            var weekStart = type === 2 ? 1 : 0;
+            var jan1 = makeDate(d.getUTCFullYear(), 0, 1);
+            var offset = (jan1.getUTCDay() - weekStart + 7) % 7;
+            return Math.floor((dateToDays(d) - dateToDays(jan1) + offset) / 7) + 1;
+        },
+
+        // EOMONTH(date, months): last day of the month, months away.
+        EOMONTH: function(args) {
+            var d = toDate(args[0]);
+            if (!d) return fail(ERRORS.VALUE);
+            var months = parseInt(args[1], 10) || 0;
+            return makeDate(d.getUTCFullYear(), d.getUTCMonth() + months + 1, 0);
+        },
+
+        // DATEDIF(start, end, unit): unit Y, M, D, MD, YM or YD.
+        DATEDIF: function(args) {
+            var start = toDate(args[0]), end = toDate(args[1]);
+            if (!start || !end || start > end) return fail(ERRORS.VALUE);
+            var unit = String(args[2] || 'D').toUpperCase();
+
+            var years = end.getUTCFullYear() - start.getUTCFullYear();
+            var months = years * 12 + end.getUTCMonth() - start.getUTCMonth();
+            if (end.getUTCDate() < start.getUTCDate()) months--;
+
+            switch (unit) {
+                case 'Y': return Math.floor(months / 12);
+                case 'M': return months;
+                case 'D': return dateToDays(end) - dateToDays(start);
+                case 'YM': return months % 12;
+                case 'MD': {
+                    var day = end.getUTCDate() - start.getUTCDate();
+                    if (day < 0) {
+                        var prevMonth = end.getUTCMonth() === 0 ? 11 : end.getUTCMonth() - 1;
+                        var prevYear = end.getUTCMonth() === 0 ? end.getUTCFullYear() - 1 : end.getUTCFullYear();
+                        day += daysInMonth(prevYear, prevMonth);
+                    }
+                    return day;
+                }
+                case 'YD': {
+                    var anniversary = makeDate(end.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+                    if (anniversary > end) {
+                        anniversary = makeDate(end.getUTCFullYear() - 1, start.getUTCMonth(), start.getUTCDate());
+                    }
+                    return dateToDays(end) - dateToDays(anniversary);
+                }
+                default: return fail(ERRORS.VALUE);
+            }
+        }
+    };
+
+    /**
+     * Which arguments of a function accept ranges.
+     * A range argument receives a 2D array (rows of values); a bare column
+     * reference in that position (e.g. SUM(B)) expands to the whole column.
+     */
+    function allArgs() { return true; }
+
+    function argsAt() {
+        var positions = Array.prototype.slice.call(arguments);
+        return function(i) { return positions.indexOf(i) !== -1; };
+    }
+
+    var RANGE_ARGS = {
+        SUM: allArgs,
+        AVG: allArgs,
+        MAX: allArgs,
+        MIN: allArgs,
+        COUNT: allArgs,
+        VLOOKUP: argsAt(1),
+        XLOOKUP: argsAt(1, 2),
+        INDEX: argsAt(0),
+        MATCH: argsAt(1),
+        SUMIF: argsAt(0, 2),
+        COUNTIF: argsAt(0),
+        AVERAGEIF: argsAt(0, 2),
+        SUMIFS: function(i) { return i === 0 || i % 2 === 1; },
+        COUNTIFS: function(i) { return i % 2 === 0; },
+        AVERAGEIFS: function(i) { return i === 0 || i % 2 === 1; },
+        AND: allArgs,
+        OR: allArgs,
+        MEDIAN: allArgs,
+        MODE: allArgs,
+        STDEV: allArgs,
+        'STDEV.S': allArgs,
+        'STDEV.P': allArgs,
+        VAR: allArgs,
+        'VAR.S': allArgs,
+        'VAR.P': allArgs,
+        PERCENTILE: argsAt(0),
+        QUARTILE: argsAt(0),
+        PERCENTRANK: argsAt(0),
+        RANK: argsAt(1),
+        CORREL: argsAt(0, 1)
+    };
+
+    /**
+     * Functions that receive unevaluated argument nodes and evaluate only
+     * what they need.
+     * Signature: function(argNodes, ctx) → value
+     */
+    var LAZY_FUNCTIONS = {
+        IF: function(args, ctx) {
+            var cond = evalNode(args[0], ctx);
+            if (isError(cond)) return cond;
+            if (isTruthy(cond)) return args.length > 1 ? evalNode(args[1], ctx) : true;
+            return args.length > 2 ? evalNode(args[2], ctx) : false;
+        },
+
+        // IFS(cond1, value1, cond2, value2, ...): first true condition wins
+        IFS: function(args, ctx) {
+            for (var i = 0; i + 1 < args.length; i += 2) {
+                var cond = evalNode(args[i], ctx);
+                if (isError(cond)) return cond;
+                if (isTruthy(cond)) return evalNode(args[i + 1], ctx);
+            }
+            return fail(ERRORS.NA);
+        },
+
+        // SWITCH(expr, match1, result1, ..., [default])
+        SWITCH: function(args, ctx) {
+            var value = evalNode(args[0], ctx);
+            if (isError(value)) return value;
+            var i = 1;
+            for (; i + 1 < args.length; i += 2) {
+                if (lookupEquals(value, evalNode(args[i], ctx))) return evalNode(args[i + 1], ctx);
+            }
+            return i < args.length ? evalNode(args[i], ctx) : fail(ERRORS.NA);
+        },
+
+        // IFERROR(value, fallback)
+        IFERROR: function(args, ctx) {
+            var value;
+            try {
+                value = evalNode(args[0], ctx);
+            } catch (e) {
+                // A cell still to be resolved is not an error to mask.
+                if (e && e.pending) throw e;
+                value = fail(ERRORS.ERROR, e && e.message);
+            }
+            return isError(value) ? evalNode(args[1], ctx) : value;
         },
-        COUNT: function(args) {
-            return args.filter(function(v) { return v !== '' && v !== null && v !== undefined; }).length;
+
+        // PREV(column, [rows=1]): the column's value rows above the current row
+        PREV: function(args, ctx) {
+            return shiftedRead(args, ctx, -1);
         },
-        ABS: function(args) {
-            return Math.abs(parseFloat(args[0]) || 0);
+
+        // NEXT(column, [rows=1]): the column's value rows below the current row
+        NEXT: function(args, ctx) {
+            return shiftedRead(args, ctx, 1);
         },
-        ROUND: function(args) {
-            var num = parseFloat(args[0]) || 0;
-            var dec = parseInt(args[1]) || 0;
-            return Number(num.toFixed(dec));
+
+        // OFFSET(reference, rows, [cols]): a column (current row) or a cell, moved
+        OFFSET: function(args, ctx) {
+            var ref = args[0];
+            if (!ref || (ref.type !== 'colref' && ref.type !== 'cellref')) {
+                return fail(ERRORS.VALUE, 'OFFSET needs a column or cell reference');
+            }
+            var rowsBy = args.length > 1 ? evalNode(args[1], ctx) : 0;
+            var colsBy = args.length > 2 ? evalNode(args[2], ctx) : 0;
+            if (isError(rowsBy)) return rowsBy;
+            if (isError(colsBy)) return colsBy;
+
+            var col = ref.col + (parseInt(colsBy, 10) || 0);
+            if (col < 0 || (ctx.cols && col >= ctx.cols.length)) return fail(ERRORS.REF);
+            var base = ref.type === 'cellref' ? ref.row : ctx.rowIdx + (ref.offset || 0);
+            return readRelative(ctx, base + (parseInt(rowsBy, 10) || 0), col);
         },
-        IF: function(args) {
-            return args[0] ? args[1] : args[2];
+
+        // CUMSUM(column): sum of the column from the first row to the current one
+        CUMSUM: function(args, ctx) {
+            return runningAggregate(args[0], 'SUM', ctx);
         },
-        CONCAT: function(args) {
-            return args.join('');
+
+        // RUNNING(column, [aggregate="SUM"]): SUM, AVG, MIN, MAX or COUNT so far
+        RUNNING: function(args, ctx) {
+            var kind = args.length > 1 ? evalNode(args[1], ctx) : 'SUM';
+            if (isError(kind)) return kind;
+            return runningAggregate(args[0], String(kind).toUpperCase(), ctx);
+        }
+    };
+
+    function arityMessage(name, arity) {
+        if (arity.min === arity.max) return name + ' expects ' + arity.min + ' argument(s)';
+        if (arity.max === Infinity) return name + ' expects at least ' + arity.min + ' argument(s)';
+        return name + ' expects ' + arity.min + ' to ' + arity.max + ' arguments';
+    }
+
+    /**
+     * Signature for a custom function registered without one:
+     * "value1, value2, [value3], ...".
+     */
+    function defaultSignature(arity) {
+        var parts = [];
+        var shown = arity.max === Infinity ? Math.max(arity.min, 1) : arity.max;
+        for (var i = 1; i <= shown; i++) {
+            parts.push(i > arity.min ? '[value' + i + ']' : 'value' + i);
+        }
+        if (arity.max === Infinity) parts.push('...');
+        return parts.join(', ');
+    }
+
+    /**
+     * Validate a custom function's return value.
+     */
+    function checkResult(name, v) {
+        if (v === undefined || v === null) return '';
+        if (isError(v) || typeof v === 'string' || typeof v === 'boolean') return v;
+        if (typeof v === 'number') {
+            return isFinite(v) ? v : fail(ERRORS.VALUE, name + ' returned ' + v);
+        }
+        if (v instanceof Date) {
+            return isNaN(v.getTime()) ? fail(ERRORS.VALUE, name + ' returned an invalid date') : v;
+        }
+        return fail(ERRORS.VALUE, name + ' returned an unsupported value');
+    }
+
+    /**
+     * PREV/NEXT: read a column `direction × rows` away from the current row.
+     */
+    function shiftedRead(args, ctx, direction) {
+        var ref = args[0];
+        if (!ref || ref.type !== 'colref') return fail(ERRORS.VALUE, 'Expected a column reference such as B');
+        var n = args.length > 1 ? evalNode(args[1], ctx) : 1;
+        if (isError(n)) return n;
+        return readRelative(ctx, ctx.rowIdx + (ref.offset || 0) + direction * (parseInt(n, 10) || 0), ref.col);
+    }
+
+    var RUNNING_KINDS = ['SUM', 'AVG', 'MIN', 'MAX', 'COUNT'];
+
+    /**
+     * Aggregate a column from the first row down to the current one.
+     *
+     * While a column is evaluated row by row in one pass, the running state is
+     * kept on the context so each row only adds its own value.
+     */
+    function runningAggregate(ref, kind, ctx) {
+        if (!ref || ref.type !== 'colref') return fail(ERRORS.VALUE, 'Expected a column reference such as B');
+        if (RUNNING_KINDS.indexOf(kind) === -1) return fail(ERRORS.VALUE, 'Unknown aggregate: ' + kind);
+
+        var row = ctx.rowIdx + (ref.offset || 0);
+        var key = ref.col + ':' + (ref.offset || 0);
+        ctx.running = ctx.running || {};
+        var st = ctx.running[key];
+        if (!st || st.row > row) {
+            st = { row: -1, sum: 0, count: 0, min: Infinity, max: -Infinity, error: null };
+        }
+
+        for (var r = Math.max(st.row + 1, 0); r <= row && r < ctx.rows.length; r++) {
+            var v = rangeValue(getCell(ctx, r, ref.col), ctx.cols && ctx.cols[ref.col]);
+            if (isError(v) && !st.error) st.error = v;
+            if (typeof v === 'number' && !isNaN(v)) {
+                st.sum += v;
+                st.count++;
+                st.min = Math.min(st.min, v);
+                st.max = Math.max(st.max, v);
+            }
+            st.row = r;
+        }
+        ctx.running[key] = st;
+
+        if (st.error) return st.error;
+        switch (kind) {
+            case 'AVG': return st.count ? st.sum / st.count : fail(ERRORS.DIV0);
+            case 'MIN': return st.count ? st.min : 0;
+            case 'MAX': return st.count ? st.max : 0;
+            case 'COUNT': return st.count;
+            default: return st.sum;
         }
+    }
+
+    /**
+     * Argument count limits of registered custom functions.
+     * name → { min, max }
+     */
+    var ARITY = {};
+
+    /**
+     * Argument signatures and one-line descriptions, for the formula bar.
+     * name → [arguments, description]
+     */
+    var FUNCTION_INFO = {
+        SUM: ['value1, [value2], ...', 'Adds numbers, ranges and columns'],
+        AVG: ['value1, [value2], ...', 'Average of the numbers'],
+        MAX: ['value1, [value2], ...', 'Largest number'],
+        MIN: ['value1, [value2], ...', 'Smallest number'],
+        COUNT: ['value1, [value2], ...', 'Number of non-empty values'],
+        ABS: ['number', 'Absolute value'],
+        ROUND: ['number, [digits]', 'Round to a number of decimal places'],
+        IF: ['condition, then, [else]', 'Value depending on a condition'],
+        IFS: ['condition1, value1, [condition2, value2], ...', 'Value of the first true condition'],
+        SWITCH: ['expression, case1, value1, ..., [default]', 'Value of the first matching case'],
+        IFERROR: ['value, fallback', 'Fallback when the value is an error'],
+        AND: ['logical1, [logical2], ...', 'True when every argument is true'],
+        OR: ['logical1, [logical2], ...', 'True when any argument is true'],
+        NOT: ['logical', 'Reverse a condition'],
+        CONCAT: ['text1, [text2], ...', 'Join text'],
+        MEDIAN: ['value1, [value2], ...', 'Middle value'],
+        MODE: ['value1, [value2], ...', 'Most frequent value'],
+        STDEV: ['value1, [value2], ...', 'Standard deviation of a sample'],
+        'STDEV.S': ['value1, [value2], ...', 'Standard deviation of a sample'],
+        'STDEV.P': ['value1, [value2], ...', 'Standard deviation of a whole population'],
+        VAR: ['value1, [value2], ...', 'Variance of a sample'],
+        'VAR.S': ['value1, [value2], ...', 'Variance of a sample'],
+        'VAR.P': ['value1, [value2], ...', 'Variance of a whole population'],
+        PERCENTILE: ['range, k', 'Value at the k-th percentile (k from 0 to 1)'],
+        QUARTILE: ['range, quart', 'Quartile 0 (min) to 4 (max)'],
+        PERCENTRANK: ['range, x, [significance]', 'Rank of x as a share of the range (0 to 1)'],
+        RANK: ['value, range, [order]', 'Position of the value, 1 = largest (order 1: smallest)'],
+        CORREL: ['range1, range2', 'Correlation coefficient of two ranges'],
+        VLOOKUP: ['key, range, column, [approximate]', 'Find a row by its first column'],
+        XLOOKUP: ['key, lookupRange, returnRange, [ifNotFound], [matchMode]', 'Find a value and return the matching one'],
+        INDEX: ['range, row, [column]', 'Value at a position in a range'],
+        MATCH: ['key, range, [matchType]', 'Position of a value in a range'],
+        SUMIF: ['range, criteria, [sumRange]', 'Sum of the values meeting a condition'],
+        COUNTIF: ['range, criteria', 'Count of the values meeting a condition'],
+        AVERAGEIF: ['range, criteria, [averageRange]', 'Average of the values meeting a condition'],
+        SUMIFS: ['sumRange, range1, criteria1, ...', 'Sum meeting several conditions'],
+        COUNTIFS: ['range1, criteria1, ...', 'Count meeting several conditions'],
+        AVERAGEIFS: ['averageRange, range1, criteria1, ...', 'Average meeting several conditions'],
+        LEFT: ['text, [count]', 'First characters of the text'],
+        RIGHT: ['text, [count]', 'Last characters of the text'],
+        MID: ['text, start, count', 'Characters from the middle of the text'],
+        LEN: ['text', 'Length of the text'],
+        UPPER: ['text', 'Text in upper case'],
+        LOWER: ['text', 'Text in lower case'],
+        TRIM: ['text', 'Remove extra spaces'],
+        SUBSTITUTE: ['text, old, new, [instance]', 'Replace text'],
+        FIND: ['needle, text, [start]', 'Position of text within text'],
+        TEXT: ['value, format', 'Format a number or date as text'],
+        VALUE: ['text', 'Convert text to a number'],
+        TODAY: ['', "Today's date"],
+        DATE: ['year, month, day', 'Build a date'],
+        YEAR: ['date', 'Year of a date'],
+        MONTH: ['date', 'Month of a date (1-12)'],
+        DAY: ['date', 'Day of the month'],
+        WEEKNUM: ['date, [type]', 'Week of the year'],
+        EOMONTH: ['date, months', 'Last day of the month, months away'],
+        DATEDIF: ['start, end, unit', 'Difference between dates in Y, M, D, MD, YM or YD'],
+        PREV: ['column, [rows]', 'Value of the column in an earlier row'],
+        NEXT: ['column, [rows]', 'Value of the column in a later row'],
+        OFFSET: ['reference, rows, [columns]', 'Value of a cell moved by rows and columns'],
+        CUMSUM: ['column', 'Running total down to the current row'],
+        RUNNING: ['column, [aggregate]', 'Running SUM, AVG, MIN, MAX or COUNT down to the current row']
     };
 
+    /**
+     * A syntax error at a character position of the formula (0-based,
+     * counting the leading "=").
+     */
+    function syntaxError(message, pos) {
+        var err = new Error(message);
+        err.pos = pos;
+        return err;
+    }
+
     /**
      * Tokenize a formula expression into tokens.
+     * Each token records its position in the formula; `offset` is the
+     * position of the expression's first character.
      */
-    function tokenize(expr) {
+    function tokenize(expr, offset) {
         var tokens = [];
         var i = 0;
         var len = expr.length;
+        offset = offset || 0;
 
         while (i < len) {
             var ch = expr[i];
+            var start = offset + i;
 
             // Skip whitespace
-            if (ch === ' ' || ch === '\t') { i++; continue; }
+            if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') { i++; continue; }
 
             // String literals
             if (ch === '"' || ch === "'") {
@@ -105,8 +1485,9 @@
                     else { str += expr[i]; }
                     i++;
                 }
+                if (i >= len) throw syntaxError('Unterminated text: missing closing ' + quote, start);
                 i++; // skip closing quote
-                tokens.push({ type: 'string', value: str });
+                tokens.push({ type: 'string', value: str, pos: start });
                 continue;
             }
 
@@ -116,7 +1497,7 @@
                 while (i < len && ((expr[i] >= '0' && expr[i] <= '9') || expr[i] === '.')) {
                     num += expr[i]; i++;
                 }
-                tokens.push({ type: 'number', value: parseFloat(num) });
+                tokens.push({ type: 'number', value: parseFloat(num), pos: start });
                 continue;
             }
 
@@ -124,42 +1505,132 @@
             if (i + 1 < len) {
                 var two = ch + expr[i + 1];
                 if (two === '>=' || two === '<=' || two === '==' || two === '!=') {
-                    tokens.push({ type: 'op', value: two });
+                    tokens.push({ type: 'op', value: two, pos: start });
                     i += 2; continue;
                 }
             }
 
+            // Structured column references: {c2} by id, [2024 Sales] by name
+            // ("]]" inside a name is a literal "]"). A "[" right after a
+            // reference opens a relative row offset instead (B[-1]).
+            var prev = tokens[tokens.length - 1];
+            if (ch === '{' || (ch === '[' && !(prev && (prev.type === 'ident' || prev.type === 'column')))) {
+                var close = ch === '{' ? '}' : ']';
+                var ref = '';
+                i++;
+                while (i < len && !(expr[i] === close && expr[i + 1] !== close)) {
+                    if (expr[i] === close) i++;
+                    ref += expr[i];
+                    i++;
+                }
+                if (i >= len) throw syntaxError('Unterminated column reference: missing closing ' + close, start);
+                if (!ref.trim()) throw syntaxError('Empty column reference', start);
+                i++;
+                tokens.push(ch === '{' ?
+                    { type: 'column', id: ref, pos: start, end: offset + i } :
+                    { type: 'column', name: ref, pos: start, end: offset + i });
+                continue;
+            }
+
+            // Error literals (#REF! left behind by a deleted column)
+            if (ch === '#') {
+                var code = errorLiteralAt(expr, i);
+                if (code) {
+                    tokens.push({ type: 'error', value: code, pos: start });
+                    i += code.length;
+                    continue;
+                }
+            }
+
             // Single-char operators
-            if ('+-*/><(),%'.indexOf(ch) !== -1) {
-                tokens.push({ type: 'op', value: ch });
+            if ('+-*/><(),%:&[]'.indexOf(ch) !== -1) {
+                tokens.push({ type: 'op', value: ch, pos: start });
                 i++; continue;
             }
 
-            // Identifiers: function names or cell/column refs (e.g. SUM, A, B2, AA1)
+            // Identifiers: function names or cell/column refs (e.g. SUM, A, B2, AA1).
+            // A dot followed by a letter continues a name (STDEV.S).
             if ((ch >= 'A' && ch <= 'Z') || (ch >= 'a' && ch <= 'z') || ch === '_') {
                 var id = '';
-                while (i < len && ((expr[i] >= 'A' && expr[i] <= 'Z') || (expr[i] >= 'a' && expr[i] <= 'z') || (expr[i] >= '0' && expr[i] <= '9') || expr[i] === '_')) {
+                while (i < len && ((expr[i] >= 'A' && expr[i] <= 'Z') || (expr[i] >= 'a' && expr[i] <= 'z') || (expr[i] >= '0' && expr[i] <= '9') || expr[i] === '_' ||
+                        (expr[i] === '.' && /[A-Za-z]/.test(expr[i + 1] || '')))) {
                     id += expr[i]; i++;
                 }
-                tokens.push({ type: 'ident', value: id });
+                tokens.push({ type: 'ident', value: id, pos: start, end: offset + i });
                 continue;
             }
 
-            // Unknown char — skip
-            i++;
+            throw syntaxError('Unexpected character "' + ch + '"', start);
         }
         return tokens;
     }
 
+    /**
+     * Error code written literally at expr[i] ("#REF!"), or null.
+     */
+    function errorLiteralAt(expr, i) {
+        var codes = Object.keys(ERRORS).map(function(k) { return ERRORS[k]; });
+        for (var n = 0; n < codes.length; n++) {
+            if (expr.substr(i, codes[n].length).toUpperCase() === codes[n]) return codes[n];
+        }
+        return null;
+    }
+
+    /**
+     * Index of the column a structured reference token points at: by id for
+     * {c2}, by name (case-insensitive) for [2024 Sales]. -1 when missing.
+     */
+    function findColumn(cols, t) {
+        var name = t.name !== undefined ? t.name.trim().toLowerCase() : null;
+        for (var c = 0; c < cols.length; c++) {
+            if (name === null ? String(cols[c].id) === t.id : String(cols[c].name || '').trim().toLowerCase() === name) {
+                return c;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parse a reference name.
+     * Pure letters = column ref (A, B, AA), letters+digits = cell ref (A1, B3).
+     *
+     * @returns {Object|null} { col, row } with row null for a column ref.
+     */
+    function parseRef(name) {
+        var match = name.match(/^([A-Z]+)(\d+)?$/);
+        if (!match) return null;
+        return {
+            col: letterToCol(match[1]),
+            row: match[2] ? parseInt(match[2], 10) - 1 : null
+        };
+    }
+
     /**
      * Parser — recursive descent.
-     * Produces an AST from tokens.
+     * Produces an AST from tokens. Syntax errors carry the formula position
+     * of the offending token (`endPos` when the formula ends too early).
      */
-    function Parser(tokens) {
+    function Parser(tokens, endPos, cols) {
         this.tokens = tokens;
         this.pos = 0;
+        this.endPos = endPos || 0;
+        this.cols = cols || null;
+    }
+
+    /**
+     * Describe a token for error messages: ')' or "end of formula".
+     */
+    function describeToken(t) {
+        if (!t) return 'end of formula';
+        if (t.type === 'string') return '"' + t.value + '"';
+        if (t.type === 'column') return t.id !== undefined ? '{' + t.id + '}' : '[' + t.name + ']';
+        return "'" + t.value + "'";
     }
 
+    Parser.prototype.fail = function(message, token) {
+        throw syntaxError(message, token ? token.pos : this.endPos);
+    };
+
     Parser.prototype.peek = function() {
         return this.pos < this.tokens.length ? this.tokens[this.pos] : null;
     };
@@ -169,25 +1640,49 @@
     };
 
     Parser.prototype.expect = function(type, value) {
-        var t = this.consume();
+        var t = this.peek();
         if (!t || t.type !== type || (value !== undefined && t.value !== value)) {
-            throw new Error('Expected ' + type + ' ' + (value || ''));
+            var wanted = value !== undefined ? "'" + value + "'" : (type === 'ident' ? 'a reference' : type);
+            this.fail('Expected ' + wanted + ' but found ' + describeToken(t), t);
         }
-        return t;
+        return this.consume();
+    };
+
+    // Whole formula: an expression followed by nothing else
+    Parser.prototype.parseFormula = function() {
+        var node = this.parseExpression();
+        var t = this.peek();
+        if (t) this.fail('Unexpected ' + describeToken(t) + ' after the end of the expression', t);
+        return node;
     };
 
     // Expression: comparison
     Parser.prototype.parseExpression = function() {
-        var left = this.parseAddSub();
+        var left = this.parseConcat();
         var t = this.peek();
         if (t && t.type === 'op' && (t.value === '>' || t.value === '<' || t.value === '>=' || t.value === '<=' || t.value === '==' || t.value === '!=')) {
             var op = this.consume().value;
-            var right = this.parseAddSub();
+            var right = this.parseConcat();
             return { type: 'binop', op: op, left: left, right: right };
         }
         return left;
     };
 
+    // Text concatenation (binds looser than arithmetic: "Q" & A + 1)
+    Parser.prototype.parseConcat = function() {
+        var node = this.parseAddSub();
+        while (true) {
+            var t = this.peek();
+            if (t && t.type === 'op' && t.value === '&') {
+                this.consume();
+                node = { type: 'binop', op: '&', left: node, right: this.parseAddSub() };
+            } else {
+                break;
+            }
+        }
+        return node;
+    };
+
     // Addition / Subtraction
     Parser.prototype.parseAddSub = function() {
         var node = this.parseMulDiv();
@@ -248,7 +1743,7 @@
     // Primary: number, string, ref, function call, parenthesized expression
     Parser.prototype.parsePrimary = function() {
         var t = this.peek();
-        if (!t) throw new Error('Unexpected end of expression');
+        if (!t) this.fail('Unexpected end of formula', null);
 
         // Number
         if (t.type === 'number') {
@@ -288,27 +1783,637 @@
                     }
                 }
                 this.expect('op', ')');
-                return { type: 'call', name: name, args: args };
+                return { type: 'call', name: name, args: args, pos: t.pos };
+            }
+
+            // Boolean literals
+            if (name === 'TRUE' || name === 'FALSE') {
+                return { type: 'boolean', value: name === 'TRUE' };
+            }
+
+            // Cell or column reference
+            var ref = parseRef(name);
+            if (!ref) this.fail('Unknown name: ' + t.value, t);
+            return this.parseReference(ref);
+        }
+
+        // Structured column reference: {c2} or [2024 Sales]
+        if (t.type === 'column') {
+            this.consume();
+            return this.parseReference({ col: this.resolveColumn(t), row: null });
+        }
+
+        // Error literal
+        if (t.type === 'error') {
+            this.consume();
+            return { type: 'error', error: fail(t.value, t.value === ERRORS.REF ? 'Reference to a deleted column' : 'Error value ' + t.value) };
+        }
+
+        this.fail('Unexpected ' + describeToken(t), t);
+    };
+
+    /**
+     * Column index of a structured reference token. Without columns (syntax
+     * check only) any reference is accepted; an id that no longer exists
+     * gives -1, an unknown name is a syntax error.
+     */
+    Parser.prototype.resolveColumn = function(t) {
+        if (!this.cols) return 0;
+        var col = findColumn(this.cols, t);
+        if (col === -1 && t.name !== undefined) this.fail('Unknown column: [' + t.name + ']', t);
+        return col;
+    };
+
+    /**
+     * The rest of a reference whose start is already parsed: a range
+     * (A1:B5, B:D, [Q1]:[Q4]), a relative row (B[-1]) or nothing.
+     * A reference to a deleted column (col -1) becomes #REF!.
+     *
+     * @param {Object} ref - { col, row } with row null for a column ref.
+     */
+    Parser.prototype.parseReference = function(ref) {
+        var deleted = { type: 'error', error: fail(ERRORS.REF, 'Reference to a deleted column') };
+
+        // Range: A1:B5, B:D, B2:B
+        var colon = this.peek();
+        if (colon && colon.type === 'op' && colon.value === ':') {
+            this.consume();
+            var end;
+            var endTok = this.peek();
+            if (endTok && endTok.type === 'column') {
+                this.consume();
+                end = { col: this.resolveColumn(endTok), row: null };
+            } else {
+                endTok = this.expect('ident');
+                end = parseRef(endTok.value.toUpperCase());
+                if (!end) this.fail('Invalid range end: ' + endTok.value, endTok);
+            }
+            if (ref.col === -1 || end.col === -1) return deleted;
+            return {
+                type: 'range',
+                col1: Math.min(ref.col, end.col),
+                col2: Math.max(ref.col, end.col),
+                row1: ref.row,
+                row2: end.row
+            };
+        }
+
+        if (ref.row !== null) {
+            // Cell reference: A1 → col=0, row=0
+            return { type: 'cellref', col: ref.col, row: ref.row };
+        }
+
+        // Relative row: B[-1], B[2]
+        var offset = 0;
+        var bracket = this.peek();
+        if (bracket && bracket.type === 'op' && bracket.value === '[') {
+            this.consume();
+            var sign = 1;
+            var signTok = this.peek();
+            if (signTok && signTok.type === 'op' && (signTok.value === '-' || signTok.value === '+')) {
+                sign = this.consume().value === '-' ? -1 : 1;
+            }
+            var offsetTok = this.peek();
+            if (!offsetTok || offsetTok.type !== 'number' || offsetTok.value % 1 !== 0) {
+                this.fail('Expected a whole number of rows but found ' + describeToken(offsetTok), offsetTok);
+            }
+            this.consume();
+            this.expect('op', ']');
+            offset = sign * offsetTok.value;
+        }
+
+        if (ref.col === -1) return deleted;
+        // Column reference: A → col=0, same row (or offset rows away)
+        return offset ? { type: 'colref', col: ref.col, offset: offset } : { type: 'colref', col: ref.col };
+    };
+
+    /**
+     * Read a raw cell value. When the context carries a resolver (used while
+     * recalculating mutually dependent formula columns) the cell is brought
+     * up to date first.
+     */
+    function getCell(ctx, r, c) {
+        if (ctx.resolve) ctx.resolve(r, c);
+        var row = ctx.rows[r];
+        return row ? row[c] : undefined;
+    }
+
+    /**
+     * Walk an AST and call fn for every reference node (colref, cellref, range).
+     */
+    function walkRefs(node, fn) {
+        if (!node) return;
+        switch (node.type) {
+            case 'colref':
+            case 'cellref':
+            case 'range':
+                fn(node);
+                break;
+            case 'binop':
+                walkRefs(node.left, fn);
+                walkRefs(node.right, fn);
+                break;
+            case 'call':
+                node.args.forEach(function(a) { walkRefs(a, fn); });
+                break;
+        }
+    }
+
+    /**
+     * Columns referenced by an AST, in any form.
+     *
+     * @returns {Array} Sorted unique column indices.
+     */
+    function referencedColumns(ast) {
+        var seen = {};
+        walkRefs(ast, function(ref) {
+            if (ref.type === 'range') {
+                for (var c = ref.col1; c <= ref.col2; c++) seen[c] = true;
+            } else {
+                seen[ref.col] = true;
+            }
+        });
+        return Object.keys(seen).map(Number).sort(function(a, b) { return a - b; });
+    }
+
+    /**
+     * Summarize what an AST depends on, for incremental recalculation.
+     * Column refs in range positions (SUM(B)) count as whole-column ranges.
+     *
+     * Relative rows (B[-1], PREV(B)) are `shifted` deps; references whose
+     * target is only known at evaluation time (OFFSET with computed offsets)
+     * and running aggregates depend on the whole column.
+     *
+     * @returns {Object} { local: [cols], shifted: [{ col, offset }],
+     *                     cells: [{ row, col }], ranges: [range nodes], volatile: bool }
+     */
+    function collectDeps(ast) {
+        if (ast.deps) return ast.deps;
+        var deps = { local: [], shifted: [], cells: [], ranges: [], volatile: false };
+
+        function wholeColumn(col) {
+            deps.ranges.push({ col1: col, col2: col, row1: null, row2: null });
+        }
+
+        (function walk(node, inRangePos) {
+            switch (node.type) {
+                case 'colref':
+                    if (node.offset) {
+                        deps.shifted.push({ col: node.col, offset: node.offset });
+                    } else if (inRangePos) {
+                        deps.ranges.push({ col1: node.col, col2: node.col, row1: null, row2: null });
+                    } else if (deps.local.indexOf(node.col) === -1) {
+                        deps.local.push(node.col);
+                    }
+                    break;
+                case 'cellref':
+                    deps.cells.push({ row: node.row, col: node.col });
+                    break;
+                case 'range':
+                    deps.ranges.push(node);
+                    break;
+                case 'binop':
+                    walk(node.left, false);
+                    walk(node.right, false);
+                    break;
+                case 'call': {
+                    var ref = node.args[0];
+                    var isRef = ref && (ref.type === 'colref' || ref.type === 'cellref');
+                    if (isRef && (node.name === 'PREV' || node.name === 'NEXT' || node.name === 'OFFSET')) {
+                        var rowsBy = node.args.length > 1 ? literalNumber(node.args[1]) : (node.name === 'OFFSET' ? 0 : 1);
+                        var colsBy = node.name === 'OFFSET' && node.args.length > 2 ? literalNumber(node.args[2]) : 0;
+                        if (rowsBy === null || colsBy === null) {
+                            deps.volatile = true;
+                            wholeColumn(ref.col);
+                        } else if (ref.type === 'cellref') {
+                            deps.cells.push({ row: ref.row + rowsBy, col: ref.col + colsBy });
+                        } else {
+                            var shift = (ref.offset || 0) + (node.name === 'PREV' ? -rowsBy : rowsBy);
+                            deps.shifted.push({ col: ref.col + colsBy, offset: shift });
+                        }
+                        node.args.slice(1).forEach(function(a) { walk(a, false); });
+                        break;
+                    }
+                    if (ref && ref.type === 'colref' && (node.name === 'CUMSUM' || node.name === 'RUNNING')) {
+                        wholeColumn(ref.col);
+                        node.args.slice(1).forEach(function(a) { walk(a, false); });
+                        break;
+                    }
+
+                    var acceptsRange = RANGE_ARGS[node.name];
+                    node.args.forEach(function(a, i) { walk(a, !!(acceptsRange && acceptsRange(i))); });
+                    break;
+                }
+            }
+        })(ast, false);
+
+        ast.deps = deps;
+        return deps;
+    }
+
+    /**
+     * The value of a number literal node (including a negated one), or null.
+     */
+    function literalNumber(node) {
+        if (node.type === 'number') return node.value;
+        if (node.type === 'binop' && node.op === '*' && node.left.type === 'number' && node.left.value === -1 &&
+            node.right.type === 'number') {
+            return -node.right.value;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a node evaluates to the same value for every row, i.e. it has no
+     * row-local column reference. Such calls (e.g. SUM(B)) are computed once
+     * per recalculation pass.
+     */
+    function isRowInvariant(node, inRangePos) {
+        switch (node.type) {
+            case 'colref':
+                return !!inRangePos && !node.offset;
+            case 'binop':
+                return isRowInvariant(node.left, false) && isRowInvariant(node.right, false);
+            case 'call': {
+                if (node.invariant === undefined) {
+                    var acceptsRange = RANGE_ARGS[node.name];
+                    node.invariant = node.args.every(function(a, i) {
+                        return isRowInvariant(a, !!(acceptsRange && acceptsRange(i)));
+                    });
+                }
+                return node.invariant;
+            }
+            default:
+                return true;
+        }
+    }
+
+    function sameValue(a, b) {
+        return a === b || (a !== a && b !== b);
+    }
+
+    /**
+     * Parse a formula string ("=...") into an AST. Throws on syntax errors.
+     * Structured references ({c2}, [Sales]) are resolved against `cols`;
+     * without them only the syntax is checked.
+     */
+    function parseFormula(formula, cols) {
+        var expression = formula.substring(1);
+        if (!expression.trim()) return { type: 'number', value: 0 };
+        return new Parser(tokenize(expression, 1), formula.length, cols).parseFormula();
+    }
+
+    function isOp(t, value) {
+        return !!t && t.type === 'op' && t.value === value;
+    }
+
+    /**
+     * Whether tokens[i] starts a reference: a structured column token, or an
+     * identifier that is neither a function name nor TRUE/FALSE.
+     */
+    function isRefToken(tokens, i) {
+        var t = tokens[i];
+        if (!t) return false;
+        if (t.type === 'column') return true;
+        if (t.type !== 'ident' || isOp(tokens[i + 1], '(')) return false;
+        var name = t.value.toUpperCase();
+        return name !== 'TRUE' && name !== 'FALSE' && parseRef(name) !== null;
+    }
+
+    /**
+     * Rewrite the references of a formula's text, keeping everything else
+     * as typed. `fn` gets each reference token (ident or column) and returns
+     * its new text, undefined to keep it, or null when it points at a
+     * deleted column — the whole reference (with its range partner or row
+     * offset) then becomes #REF!.
+     *
+     * `rangeFn`, when given, sees each range first as (start, end, spread)
+     * and returns the text of the whole range, null for #REF!, or undefined
+     * to leave it to `fn`. `spread` is true when the range is a whole
+     * argument of a function that takes any number of ranges (SUM, AVG...),
+     * so it may be replaced by several ranges separated by commas.
+     *
+     * @returns {string} The rewritten formula (unchanged if it does not tokenize).
+     */
+    function rewriteReferences(formula, fn, rangeFn) {
+        if (!formula || typeof formula !== 'string' || formula.charAt(0) !== '=') return formula;
+        var tokens;
+        try {
+            tokens = tokenize(formula.substring(1), 1);
+        } catch (e) {
+            return formula;
+        }
+
+        var edits = [];
+        var calls = [];
+        for (var i = 0; i < tokens.length; i++) {
+            if (isOp(tokens[i], '(')) {
+                var callee = tokens[i - 1];
+                calls.push(callee && callee.type === 'ident' ? callee.value.toUpperCase() : null);
+            } else if (isOp(tokens[i], ')')) {
+                calls.pop();
+            }
+            if (!isRefToken(tokens, i)) continue;
+            var refs = [tokens[i]];
+            var start = tokens[i].pos;
+            var end = tokens[i].end;
+            var first = i;
+
+            if (isOp(tokens[i + 1], ':') && isRefToken(tokens, i + 2)) {
+                refs.push(tokens[i + 2]);
+                end = tokens[i + 2].end;
+                i += 2;
+                if (rangeFn) {
+                    var text = rangeFn(refs[0], refs[1], isWholeArgument(tokens, first, i, calls[calls.length - 1]));
+                    if (text !== undefined) {
+                        edits.push({ start: start, end: end, text: text === null ? ERRORS.REF : text });
+                        continue;
+                    }
+                }
+            } else if (isOp(tokens[i + 1], '[')) {
+                for (var j = i + 2; j < tokens.length; j++) {
+                    if (isOp(tokens[j], ']')) {
+                        end = tokens[j].pos + 1;
+                        i = j;
+                        break;
+                    }
+                }
+            }
+
+            var texts = refs.map(fn);
+            if (texts.indexOf(null) !== -1) {
+                edits.push({ start: start, end: end, text: ERRORS.REF });
+                continue;
+            }
+            refs.forEach(function(t, n) {
+                if (texts[n] !== undefined) edits.push({ start: t.pos, end: t.end, text: texts[n] });
+            });
+        }
+
+        for (var e = edits.length - 1; e >= 0; e--) {
+            formula = formula.substring(0, edits[e].start) + edits[e].text + formula.substring(edits[e].end);
+        }
+        return formula;
+    }
+
+    /**
+     * Whether tokens[first..last] make up a whole argument of `name`, and
+     * `name` takes ranges for any number of arguments.
+     */
+    function isWholeArgument(tokens, first, last, name) {
+        if (!name || RANGE_ARGS[name] !== allArgs) return false;
+        if (ARITY[name] && ARITY[name].max !== Infinity) return false;
+        return (isOp(tokens[first - 1], '(') || isOp(tokens[first - 1], ','))
+            && (isOp(tokens[last + 1], ')') || isOp(tokens[last + 1], ','));
+    }
+
+    /**
+     * Rewrite a letter range (B:D, B2:D9) for remapColumns(): the range keeps
+     * the columns it covered, minus deleted ones. Columns that still sit
+     * side by side give one range; otherwise the range is split into one
+     * range per run of adjacent columns when `spread` allows it, and is
+     * #REF! when it does not.
+     *
+     * @returns {string|null|undefined} New text, null for #REF!, or undefined
+     *     when it is not a letter range.
+     */
+    function remapRange(start, end, spread, map) {
+        if (start.type !== 'ident' || end.type !== 'ident') return undefined;
+        var from = parseRef(start.value.toUpperCase());
+        var to = parseRef(end.value.toUpperCase());
+        var lo = Math.min(from.col, to.col);
+        var hi = Math.max(from.col, to.col);
+        var moved = function(c) { return map[c] === undefined ? c : map[c]; };
+
+        var cols = [];
+        var taken = {};
+        for (var c = lo; c <= hi; c++) {
+            if (moved(c) !== -1) cols.push(moved(c));
+        }
+        if (!cols.length) return null;
+        cols.sort(function(x, y) { return x - y; });
+
+        // New positions of the columns outside the range: a range column
+        // past one of them starts a new run.
+        for (c = cols[0]; c <= cols[cols.length - 1]; c++) {
+            if ((c < lo || c > hi) && map[c] === undefined) taken[c] = true;
+        }
+        map.forEach(function(n, old) {
+            if (old < lo || old > hi) taken[n] = true;
+        });
+        var runs = [[cols[0], cols[0]]];
+        cols.slice(1).forEach(function(col) {
+            var run = runs[runs.length - 1];
+            for (var gap = run[1] + 1; gap < col; gap++) {
+                if (taken[gap]) {
+                    runs.push([col, col]);
+                    return;
+                }
+            }
+            run[1] = col;
+        });
+        if (runs.length > 1 && !spread) return null;
+
+        var ascending = from.col <= to.col;
+        var texts = runs.map(function(run) {
+            var a = ascending ? run[0] : run[1];
+            var b = ascending ? run[1] : run[0];
+            return colToLetter(a) + start.value.replace(/^[A-Za-z]+/, '') + ':'
+                + colToLetter(b) + end.value.replace(/^[A-Za-z]+/, '');
+        });
+        var text = texts.join(', ');
+        var typed = start.value + ':' + end.value;
+        return text === typed.toUpperCase() ? typed : text;
+    }
+
+    /**
+     * Strongly connected components of the formula column graph (Tarjan).
+     * Components come out dependencies-first, i.e. in evaluation order.
+     *
+     * @param {Array} nodes - Column indices.
+     * @param {Object} edges - col → array of cols it depends on.
+     * @returns {Array} Array of components (arrays of column indices).
+     */
+    function stronglyConnected(nodes, edges) {
+        var index = 0;
+        var stack = [];
+        var meta = {};
+        var out = [];
+
+        function visit(v) {
+            meta[v] = { index: index, low: index, onStack: true };
+            index++;
+            stack.push(v);
+
+            (edges[v] || []).forEach(function(w) {
+                if (!meta[w]) {
+                    visit(w);
+                    meta[v].low = Math.min(meta[v].low, meta[w].low);
+                } else if (meta[w].onStack) {
+                    meta[v].low = Math.min(meta[v].low, meta[w].index);
+                }
+            });
+
+            if (meta[v].low === meta[v].index) {
+                var comp = [];
+                var w;
+                do {
+                    w = stack.pop();
+                    meta[w].onStack = false;
+                    comp.push(w);
+                } while (w !== v);
+                out.push(comp.sort(function(a, b) { return a - b; }));
+            }
+        }
+
+        nodes.forEach(function(v) { if (!meta[v]) visit(v); });
+        return out;
+    }
+
+    /**
+     * Convert a raw cell value for use in a scalar context: blank → 0,
+     * numeric strings → numbers, other text unchanged. Text with a numeric
+     * prefix ("15%", "12 units") stays text so text functions see all of it;
+     * arithmetic still reads the leading number.
+     */
+    function scalarValue(v, col) {
+        if (v === '' || v === undefined || v === null) return 0;
+        if (errorCode(v)) return fail(errorCode(v));
+        if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return parseFloat(v);
+        return cellDate(v, col) || v;
+    }
+
+    /**
+     * Convert a raw cell value for use inside a range: blanks stay blank so
+     * aggregates can skip them, numeric strings become numbers.
+     */
+    function rangeValue(v, col) {
+        if (v === undefined || v === null) return '';
+        if (v === '') return v;
+        if (errorCode(v)) return fail(errorCode(v));
+        return cellDate(v, col) || (isNaN(parseFloat(v)) ? v : parseFloat(v));
+    }
+
+    /**
+     * A cell holds a date when its column is typed 'date' or the value is an
+     * ISO date string (e.g. a date computed by another formula column).
+     */
+    function cellDate(v, col) {
+        if (typeof v !== 'string') return null;
+        if ((col && col.type === 'date') || ISO_DATE.test(v)) return toDate(v);
+        return null;
+    }
+
+    /**
+     * Read a range node into a 2D array (rows of values).
+     * A missing start row means the first row, a missing end row the last.
+     *
+     * A context with a `ranges` cache reads each range once: every row of a
+     * recalculation gets the same array back (so it must not be modified)
+     * until forgetRanges() drops it.
+     */
+    function readRange(node, ctx) {
+        if (ctx.cols && Math.max(node.col1, node.col2) >= ctx.cols.length) {
+            return fail(ERRORS.REF, 'Range refers to a column that does not exist');
+        }
+        var lastRow = ctx.rows.length - 1;
+        var r1 = node.row1 === null ? 0 : node.row1;
+        var r2 = node.row2 === null ? lastRow : node.row2;
+        if (r1 > r2) { var t = r1; r1 = r2; r2 = t; }
+        r2 = Math.min(r2, lastRow);
+
+        var cacheKey = node.col1 + ':' + node.col2 + ':' + r1 + ':' + r2;
+        if (ctx.ranges && ctx.ranges[cacheKey]) return ctx.ranges[cacheKey].values;
+
+        var out = [];
+        for (var r = r1; r <= r2; r++) {
+            var line = [];
+            for (var c = node.col1; c <= node.col2; c++) {
+                line.push(rangeValue(getCell(ctx, r, c), ctx.cols && ctx.cols[c]));
             }
+            out.push(line);
+        }
+        if (ctx.ranges) {
+            ctx.ranges[cacheKey] = { col1: node.col1, col2: node.col2, row1: r1, row2: r2, values: out };
+        }
+        return out;
+    }
 
-            // Cell or column reference
-            // Pure letters = column ref (A, B, AA), letters+digits = cell ref (A1, B3)
-            var match = name.match(/^([A-Z]+)(\d+)?$/);
-            if (match) {
-                if (match[2]) {
-                    // Cell reference: A1 → col=0, row=0
-                    return { type: 'cellref', col: letterToCol(match[1]), row: parseInt(match[2]) - 1 };
-                } else {
-                    // Column reference: A → col=0, same row
-                    return { type: 'colref', col: letterToCol(match[1]) };
-                }
+    /**
+     * Drop the cached ranges that contain a cell, after it was written.
+     *
+     * @returns {boolean} True if any range was dropped.
+     */
+    function forgetRanges(ranges, r, c) {
+        var dropped = false;
+        Object.keys(ranges).forEach(function(k) {
+            var range = ranges[k];
+            if (c >= range.col1 && c <= range.col2 && r >= range.row1 && r <= range.row2) {
+                delete ranges[k];
+                dropped = true;
             }
+        });
+        return dropped;
+    }
+
+    /**
+     * Read a cell for a relative reference: rows outside the table are empty.
+     */
+    function readRelative(ctx, row, col) {
+        if (row < 0 || row >= ctx.rows.length) return scalarValue('');
+        return scalarValue(getCell(ctx, row, col), ctx.cols && ctx.cols[col]);
+    }
 
-            throw new Error('Unknown identifier: ' + name);
+    /**
+     * Evaluate a function argument in a position that accepts ranges.
+     */
+    function evalRangeArg(node, ctx) {
+        if (node.type === 'range') {
+            return readRange(node, ctx);
+        }
+        if (node.type === 'colref' && !node.offset) {
+            return readRange({ col1: node.col, col2: node.col, row1: null, row2: null }, ctx);
         }
+        return evalNode(node, ctx);
+    }
 
-        throw new Error('Unexpected token: ' + (t.value || t.type));
-    };
+    /**
+     * Arithmetic and comparisons involving dates: date - date gives days,
+     * date ± number shifts by days, comparisons compare days. Other
+     * operators work on the day number.
+     */
+    function dateBinop(op, left, right) {
+        var l = left instanceof Date ? dateToDays(left) : (parseFloat(left) || 0);
+        var r = right instanceof Date ? dateToDays(right) : (parseFloat(right) || 0);
+
+        switch (op) {
+            case '+':
+                if (left instanceof Date && right instanceof Date) return l + r;
+                return makeDate(1970, 0, 1 + l + r);
+            case '-':
+                if (right instanceof Date) return l - r;
+                return makeDate(1970, 0, 1 + l - r);
+            case '*': return l * r;
+            case '/': return r !== 0 ? l / r : fail(ERRORS.DIV0);
+            case '>': return l > r;
+            case '<': return l < r;
+            case '>=': return l >= r;
+            case '<=': return l <= r;
+            case '==': return l === r;
+            case '!=': return l !== r;
+            default: return 0;
+        }
+    }
+
+    /**
+     * Convert an evaluated value into what is stored in a cell:
+     * dates become ISO strings, errors their code.
+     */
+    function toCellValue(v) {
+        if (v instanceof Date) return formatIsoDate(v);
+        if (isError(v)) return v.code;
+        return v;
+    }
 
     /**
      * Evaluate an AST node.
@@ -319,23 +2424,41 @@
         switch (node.type) {
             case 'number': return node.value;
             case 'string': return node.value;
+            case 'boolean': return node.value;
 
             case 'colref': {
-                // Reference to the same row, given column
-                var val = ctx.rows[ctx.rowIdx][node.col];
-                return (val === '' || val === undefined || val === null) ? 0 : (isNaN(parseFloat(val)) ? val : parseFloat(val));
+                // Reference to the same row (or a row relative to it), given column
+                if (ctx.cols && node.col >= ctx.cols.length) return fail(ERRORS.REF, 'Column ' + colToLetter(node.col) + ' does not exist');
+                return readRelative(ctx, ctx.rowIdx + (node.offset || 0), node.col);
             }
 
             case 'cellref': {
                 // Reference to specific row and column
+                if (ctx.cols && node.col >= ctx.cols.length) return fail(ERRORS.REF, 'Column ' + colToLetter(node.col) + ' does not exist');
                 if (node.row < 0 || node.row >= ctx.rows.length) return 0;
-                var v = ctx.rows[node.row][node.col];
-                return (v === '' || v === undefined || v === null) ? 0 : (isNaN(parseFloat(v)) ? v : parseFloat(v));
+                return scalarValue(getCell(ctx, node.row, node.col), ctx.cols && ctx.cols[node.col]);
             }
 
+            case 'range':
+                return fail(ERRORS.VALUE, 'Range reference is only allowed as a function argument');
+
+            case 'error':
+                return node.error;
+
             case 'binop': {
                 var left = evalNode(node.left, ctx);
+                if (isError(left)) return left;
                 var right = evalNode(node.right, ctx);
+                if (isError(right)) return right;
+
+                if (node.op === '&') {
+                    return toText(left) + toText(right);
+                }
+
+                if (left instanceof Date || right instanceof Date) {
+                    return dateBinop(node.op, left, right);
+                }
+
                 var l = parseFloat(left) || 0;
                 var r = parseFloat(right) || 0;
 
@@ -343,7 +2466,7 @@
                     case '+': return l + r;
                     case '-': return l - r;
                     case '*': return l * r;
-                    case '/': return r !== 0 ? l / r : '#DIV/0';
+                    case '/': return r !== 0 ? l / r : fail(ERRORS.DIV0);
                     case '>': return l > r;
                     case '<': return l < r;
                     case '>=': return l >= r;
@@ -355,23 +2478,32 @@
             }
 
             case 'call': {
+                var lazy = LAZY_FUNCTIONS[node.name];
                 var fn = FUNCTIONS[node.name];
-                if (!fn) throw new Error('Unknown function: ' + node.name);
-
-                // For SUM/AVG/MIN/MAX/COUNT with a single column ref arg, expand to all rows
-                if (node.args.length === 1 && node.args[0].type === 'colref' &&
-                    (node.name === 'SUM' || node.name === 'AVG' || node.name === 'MIN' || node.name === 'MAX' || node.name === 'COUNT')) {
-                    var cIdx = node.args[0].col;
-                    var vals = ctx.rows.map(function(row) {
-                        var v = row[cIdx];
-                        return (v === '' || v === undefined || v === null) ? 0 : (parseFloat(v) || 0);
-                    });
-                    return fn(vals);
-                }
+                if (!fn && !lazy) return fail(ERRORS.NAME, 'Unknown function: ' + node.name);
 
-                // For range notation like SUM(B1:B5) — not implemented yet, but could be added
-                var argVals = node.args.map(function(a) { return evalNode(a, ctx); });
-                return fn(argVals);
+                var memo = ctx.memo && isRowInvariant(node) ? ctx.memo : null;
+                if (memo && memo.has(node)) return memo.get(node);
+
+                var result;
+                try {
+                    if (lazy) {
+                        result = lazy(node.args, ctx);
+                    } else {
+                        var acceptsRange = RANGE_ARGS[node.name];
+                        var argVals = node.args.map(function(a, i) {
+                            return (acceptsRange && acceptsRange(i)) ? evalRangeArg(a, ctx) : evalNode(a, ctx);
+                        });
+                        // An error in any direct argument is the result.
+                        var argError = argVals.filter(isError)[0];
+                        result = argError || fn(argVals);
+                    }
+                } catch (e) {
+                    if (!isError(e)) throw e;
+                    result = e;
+                }
+                if (memo) memo.set(node, result);
+                return result;
             }
 
             default:
@@ -390,69 +2522,709 @@
          * @param {number} rowIdx - current row index (0-based)
          * @param {Array} rows - all rows data
          * @param {Array} cols - column definitions
-         * @returns {*} result or "#ERR"
+         * @returns {*} result, or an error code such as "#DIV/0!"
          */
         evaluate: function(formula, rowIdx, rows, cols) {
             if (!formula || typeof formula !== 'string' || formula.charAt(0) !== '=') {
                 return formula;
             }
 
-            var expression = formula.substring(1).trim();
-            if (!expression) return 0;
+            return toCellValue(this.evalAst(this.getAst(formula, cols), { rows: rows, cols: cols, rowIdx: rowIdx }));
+        },
+
+        FormulaError: FormulaError,
+        ERRORS: ERRORS,
+
+        /**
+         * Check a formula without evaluating it.
+         *
+         * @param {string} formula - "=..."
+         * @param {Array} [cols] - Column definitions, to check [Name] references.
+         * @returns {Object|null} { message, pos } for the first problem (pos is
+         *                        the 0-based character index), or null.
+         */
+        check: function(formula, cols) {
+            if (!formula || formula.charAt(0) !== '=') return null;
+            var ast;
+            try {
+                ast = parseFormula(formula, cols);
+            } catch (e) {
+                return { message: e.message, pos: e.pos !== undefined ? e.pos : 0 };
+            }
+
+            var problem = null;
+            (function walk(node) {
+                if (!node || problem) return;
+                if (node.type === 'binop') {
+                    walk(node.left);
+                    walk(node.right);
+                } else if (node.type === 'call') {
+                    if (!FUNCTIONS[node.name] && !LAZY_FUNCTIONS[node.name]) {
+                        problem = { message: 'Unknown function: ' + node.name, pos: node.pos };
+                        return;
+                    }
+                    var arity = ARITY[node.name];
+                    if (arity && (node.args.length < arity.min || node.args.length > arity.max)) {
+                        problem = { message: arityMessage(node.name, arity), pos: node.pos };
+                        return;
+                    }
+                    node.args.forEach(walk);
+                }
+            })(ast);
+            return problem;
+        },
+
+        /**
+         * Register a custom formula function, e.g. from a site plugin:
+         *
+         *     LiteStatsMathEngine.registerFunction('VAT', function(amount, country) {
+         *         return amount * (country === 'DE' ? 0.19 : 0.2);
+         *     }, { minArgs: 2, maxArgs: 2, description: 'VAT for a country' });
+         *
+         * The function is evaluated like the built-ins: arguments arrive
+         * evaluated (ranges and whole columns in `acceptsRanges` positions as
+         * 2D arrays of rows, dates as Date objects), and an error in a direct
+         * argument is returned without calling it. It is sandboxed: a wrong
+         * argument count, an exception or an unsupported return value becomes
+         * #VALUE! in the cell. Return a number, string, boolean, Date or a
+         * FormulaError.
+         *
+         * @param {string} name - Letters, digits, "_" and "." starting with a letter (e.g. VAT, MARGIN.TIER).
+         * @param {Function} impl - Called with the arguments as separate parameters.
+         * @param {Object} [options] - {
+         *     minArgs: number (default 0),
+         *     maxArgs: number (default unlimited),
+         *     acceptsRanges: true for every argument, or an array of argument indexes,
+         *     description: string shown in the formula bar,
+         *     signature: argument list shown in the formula bar, e.g. "amount, country"
+         * }
+         * @throws {Error} When the name or impl is invalid or the name is a built-in.
+         */
+        registerFunction: function(name, impl, options) {
+            options = options || {};
+            name = String(name || '').toUpperCase();
+
+            if (!/^[A-Z][A-Z0-9_]*(\.[A-Z][A-Z0-9_]*)*$/.test(name) || /^[A-Z]+\d+$/.test(name)) {
+                throw new Error('Invalid function name: ' + name);
+            }
+            if (typeof impl !== 'function') {
+                throw new Error('registerFunction: ' + name + ' needs a function');
+            }
+            if (LAZY_FUNCTIONS[name] || (FUNCTIONS[name] && !ARITY[name])) {
+                throw new Error('registerFunction: ' + name + ' is a built-in function');
+            }
+
+            var arity = {
+                min: options.minArgs !== undefined ? Math.max(0, parseInt(options.minArgs, 10) || 0) : 0,
+                max: options.maxArgs !== undefined ? parseInt(options.maxArgs, 10) : Infinity
+            };
+            if (isNaN(arity.max) || arity.max < arity.min) arity.max = Infinity;
+
+            var ranges = options.acceptsRanges;
+            if (ranges === true) {
+                RANGE_ARGS[name] = allArgs;
+            } else if (Array.isArray(ranges)) {
+                RANGE_ARGS[name] = argsAt.apply(null, ranges);
+            } else {
+                delete RANGE_ARGS[name];
+            }
+
+            ARITY[name] = arity;
+            FUNCTION_INFO[name] = [options.signature || defaultSignature(arity), options.description || ''];
+            FUNCTIONS[name] = function(args) {
+                if (args.length < arity.min || args.length > arity.max) {
+                    return fail(ERRORS.VALUE, arityMessage(name, arity));
+                }
+                var result;
+                try {
+                    result = impl.apply(null, args);
+                } catch (e) {
+                    if (isError(e)) return e;
+                    console.error('MathEngine: ' + name + ' failed:', e);
+                    return fail(ERRORS.VALUE, name + ' failed: ' + (e && e.message ? e.message : e));
+                }
+                return checkResult(name, result);
+            };
+
+            // Parsed formulas cache per-node facts that depend on the function tables.
+            this.astCache = {};
+        },
+
+        /**
+         * Functions with their signatures, sorted by name.
+         *
+         * @returns {Array} [{ name, signature, description }]
+         */
+        listFunctions: function() {
+            return Object.keys(FUNCTION_INFO).sort().map(function(name) {
+                return {
+                    name: name,
+                    signature: name + '(' + FUNCTION_INFO[name][0] + ')',
+                    description: FUNCTION_INFO[name][1]
+                };
+            });
+        },
 
+        /**
+         * Columns a (possibly unfinished) formula refers to, from its tokens.
+         *
+         * @param {string} formula
+         * @param {Array} [cols] - Column definitions, to resolve {id} and [Name].
+         * @returns {Array} Column indices.
+         */
+        referencedColumns: function(formula, cols) {
+            var tokens;
             try {
-                var tokens = tokenize(expression);
-                var parser = new Parser(tokens);
-                var ast = parser.parseExpression();
-                return evalNode(ast, { rows: rows, cols: cols, rowIdx: rowIdx });
+                tokens = tokenize(String(formula || '').replace(/^=/, ''));
             } catch (e) {
-                console.error('MathEngine error:', formula, e.message);
-                return '#ERR';
+                return [];
+            }
+            var seen = {};
+            tokens.forEach(function(t, i) {
+                if (t.type === 'column') {
+                    var idx = cols ? findColumn(cols, t) : -1;
+                    if (idx !== -1) seen[idx] = true;
+                    return;
+                }
+                if (t.type !== 'ident') return;
+                var next = tokens[i + 1];
+                if (next && next.type === 'op' && next.value === '(') return;
+                var ref = parseRef(t.value.toUpperCase());
+                if (ref) seen[ref.col] = true;
+            });
+            return Object.keys(seen).map(Number);
+        },
+
+        /**
+         * Turn the [Column name] references typed in the formula bar into
+         * {id} references for storage, so formulas survive renames and moves.
+         * Unknown names are kept as typed and fail when evaluated.
+         *
+         * @param {string} formula
+         * @param {Array} cols - Column definitions.
+         * @returns {string}
+         */
+        toStoredFormula: function(formula, cols) {
+            return rewriteReferences(formula, function(t) {
+                if (t.type !== 'column' || t.name === undefined) return undefined;
+                var idx = findColumn(cols, t);
+                if (idx === -1) return undefined;
+                return cols[idx].id ? '{' + cols[idx].id + '}' : colToLetter(idx);
+            });
+        },
+
+        /**
+         * Show a stored formula for editing: {id} references become
+         * [Column name] (the letter when the name is empty or not unique),
+         * and references to deleted columns become #REF!.
+         *
+         * @param {string} formula
+         * @param {Array} cols - Column definitions.
+         * @returns {string}
+         */
+        toDisplayFormula: function(formula, cols) {
+            return rewriteReferences(formula, function(t) {
+                if (t.type !== 'column' || t.id === undefined) return undefined;
+                var idx = findColumn(cols, t);
+                if (idx === -1) return null;
+                var name = String(cols[idx].name || '').trim();
+                if (!name || findColumn(cols, { name: name }) !== idx) return colToLetter(idx);
+                return '[' + name.replace(/\]/g, ']]') + ']';
+            });
+        },
+
+        /**
+         * Rewrite the letter references of a formula after columns moved,
+         * were inserted or were deleted. {id} and [Name] references need no
+         * rewriting; a reference to a deleted column becomes #REF!.
+         * A range keeps the columns it covered: SUM(B:D) becomes SUM(B:C)
+         * when C is deleted, and SUM(B:C, E:E) when C moves past D.
+         *
+         * @param {string} formula
+         * @param {Array} map - Old column index → new index, or -1 when deleted.
+         * @returns {string}
+         */
+        remapColumns: function(formula, map) {
+            return rewriteReferences(formula, function(t) {
+                if (t.type !== 'ident') return undefined;
+                var col = map[parseRef(t.value.toUpperCase()).col];
+                if (col === undefined) return undefined;
+                if (col === -1) return null;
+                return colToLetter(col) + t.value.replace(/^[A-Za-z]+/, '');
+            }, function(start, end, spread) {
+                return remapRange(start, end, spread, map);
+            });
+        },
+
+        /**
+         * Error code for a cell value ('#DIV/0!'; legacy '#DIV/0' is mapped),
+         * or null when the value is not an error.
+         */
+        errorCode: errorCode,
+
+        /**
+         * Write a formula result into a cell and keep the cell's error message
+         * in `app.formulaErrors` ("row:col" → message) for tooltips.
+         *
+         * @returns {*} The stored value.
+         */
+        storeValue: function(app, r, c, value) {
+            var key = r + ':' + c;
+            if (!app.formulaErrors) app.formulaErrors = {};
+            if (isError(value)) {
+                app.formulaErrors[key] = value.message;
+            } else {
+                delete app.formulaErrors[key];
+            }
+            app.rows[r][c] = toCellValue(value);
+            return app.rows[r][c];
+        },
+
+        /**
+         * Aggregates offered for a column's totals row.
+         * @type {Array}
+         */
+        FOOTER_AGGREGATES: ['sum', 'avg', 'count', 'min', 'max'],
+
+        /**
+         * Totals-row value of a column over the given (e.g. filtered) rows.
+         *
+         * count counts non-empty cells; sum, avg, min and max use the numeric
+         * cells (min/max compare dates in date columns). A formula ("=...")
+         * is evaluated against the rows, so =SUM(B)/COUNT(B) aggregates the
+         * rows passed in; plain column references read the first row.
+         *
+         * @param {string} kind - 'sum', 'avg', 'count', 'min', 'max' or a formula.
+         * @param {Array} rows - Rows to aggregate.
+         * @param {Array} cols - Column definitions.
+         * @param {number} colIdx - Column to aggregate.
+         * @returns {*} The value, an error code, or '' when there is nothing to show.
+         */
+        aggregate: function(kind, rows, cols, colIdx) {
+            if (!kind) return '';
+            if (kind.charAt(0) === '=') return this.evaluate(kind, 0, rows, cols);
+
+            var isDate = cols[colIdx] && cols[colIdx].type === 'date';
+            var values = [];
+            var count = 0;
+            for (var r = 0; r < rows.length; r++) {
+                var v = rows[r][colIdx];
+                var code = errorCode(v);
+                if (code) return code;
+                if (isBlank(v)) continue;
+                count++;
+                if (isDate && (kind === 'min' || kind === 'max')) {
+                    var d = toDate(v);
+                    if (d) values.push(d);
+                } else if (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)))) {
+                    values.push(Number(v));
+                }
+            }
+
+            switch (kind) {
+                case 'count':
+                    return count;
+                case 'sum':
+                    return values.reduce(function(a, b) { return a + b; }, 0);
+                case 'avg':
+                    return values.length ? values.reduce(function(a, b) { return a + b; }, 0) / values.length : '';
+                case 'min':
+                case 'max':
+                    if (!values.length) return '';
+                    var best = values.reduce(function(a, b) { return (kind === 'min' ? b < a : b > a) ? b : a; });
+                    return toCellValue(best);
+                default:
+                    return '';
             }
         },
 
+        /**
+         * Columns involved in circular references found by the last recalcAll.
+         * @type {Array} Array of column index lists, in reference order.
+         */
+        lastCycles: [],
+
         /**
          * Recalculate all formula columns.
-         * Runs multiple passes to resolve inter-column dependencies.
+         *
+         * Builds a dependency graph between formula columns from their parsed
+         * ASTs and evaluates them in topological order. Columns that depend on
+         * each other (or on themselves) are resolved cell by cell, so references
+         * to other rows still work; cells that are part of a real cycle get
+         * '#CYCLE'. The cycles found are kept in `lastCycles`, per-cell error
+         * messages in `app.formulaErrors`.
          *
          * @param {Object} app - { cols, rows }
+         * @returns {Array} Cycles found (see lastCycles).
          */
         recalcAll: function(app) {
-            if (!app || !app.cols || !app.rows) return;
+            this.lastCycles = [];
+            if (!app || !app.cols || !app.rows) return this.lastCycles;
+            app.formulaErrors = {};
+
+            var self = this;
+            var plan = this.buildPlan(app);
+
+            plan.components.forEach(function(comp) {
+                if (plan.isCyclic(comp)) {
+                    self.evalComponentSafely(app, comp, plan.asts);
+                } else {
+                    self.evalRows(app, comp[0], plan.asts[comp[0]], null);
+                }
+            });
+
+            return this.lastCycles;
+        },
+
+        /**
+         * Recalculate only the formula cells affected by edited cells.
+         *
+         * Dirtiness flows through the formula columns in dependency order:
+         * a row-local column reference (B) dirties the same row, while an
+         * absolute cell reference (B3) or a range/whole-column aggregate
+         * (B1:B5, SUM(B)) covering a dirty cell dirties every row. Only cells
+         * whose value actually changed propagate further.
+         *
+         * @param {Object} app - { cols, rows }
+         * @param {Array} changedCells - [{ row, col }] cells edited by the user.
+         * @returns {Array} Formula cells whose value changed, as [{ row, col }].
+         */
+        recalcDirty: function(app, changedCells) {
+            if (!app || !app.cols || !app.rows) return [];
 
             var self = this;
+            var rows = app.rows;
+            var plan = this.buildPlan(app);
+            var dirty = {}; // col → true (every row) or { row: true }
+            var changed = [];
+
+            (changedCells || []).forEach(function(cell) {
+                if (dirty[cell.col] === true) return;
+                dirty[cell.col] = dirty[cell.col] || {};
+                dirty[cell.col][cell.row] = true;
+            });
+
+            function isDirty(col, row) {
+                var d = dirty[col];
+                return d === true || !!(d && d[row]);
+            }
+
+            function anyDirtyIn(col, row1, row2) {
+                var d = dirty[col];
+                if (!d) return false;
+                if (d === true) return true;
+                return Object.keys(d).some(function(r) {
+                    r = parseInt(r, 10);
+                    return r >= row1 && r <= row2;
+                });
+            }
 
-            // Build dependency order: detect which columns each formula references.
+            // Rows of a formula column that need recomputing: true for all rows.
+            function dirtyRows(deps) {
+                var local = {};
+                var all = deps.cells.some(function(ref) { return isDirty(ref.col, ref.row); }) ||
+                    deps.ranges.some(function(ref) {
+                        var r1 = ref.row1 === null ? 0 : ref.row1;
+                        var r2 = ref.row2 === null ? rows.length - 1 : ref.row2;
+                        for (var c = ref.col1; c <= ref.col2; c++) {
+                            if (anyDirtyIn(c, Math.min(r1, r2), Math.max(r1, r2))) return true;
+                        }
+                        return false;
+                    });
+                if (all || (deps.volatile && Object.keys(dirty).length)) return true;
+
+                var any = false;
+                deps.local.map(function(col) { return { col: col, offset: 0 }; }).concat(deps.shifted).forEach(function(ref) {
+                    var d = dirty[ref.col];
+                    if (d === true) { all = true; return; }
+                    if (d) {
+                        // Row r reads row r + offset, so a dirty row d affects row d - offset.
+                        Object.keys(d).forEach(function(r) { local[r - ref.offset] = true; any = true; });
+                    }
+                });
+                if (all) return true;
+                return any ? local : null;
+            }
+
+            plan.components.forEach(function(comp) {
+                var deps = comp.map(function(c) { return plan.asts[c] ? collectDeps(plan.asts[c]) : null; });
+                var affected = comp.map(function(c, i) { return deps[i] ? dirtyRows(deps[i]) : null; });
+                if (!affected.some(function(a) { return a; })) return;
+
+                if (plan.isCyclic(comp)) {
+                    var before = rows.map(function(row) {
+                        return comp.map(function(c) { return row[c]; });
+                    });
+                    self.evalComponentSafely(app, comp, plan.asts);
+                    rows.forEach(function(row, rIdx) {
+                        comp.forEach(function(c, i) {
+                            if (!sameValue(before[rIdx][i], row[c])) {
+                                changed.push({ row: rIdx, col: c });
+                                dirty[c] = dirty[c] || {};
+                                if (dirty[c] !== true) dirty[c][rIdx] = true;
+                            }
+                        });
+                    });
+                    return;
+                }
+
+                var col = comp[0];
+                var rowSet = affected[0] === true ? null : Object.keys(affected[0]).map(Number);
+                self.evalRows(app, col, plan.asts[col], rowSet).forEach(function(rIdx) {
+                    changed.push({ row: rIdx, col: col });
+                    dirty[col] = dirty[col] || {};
+                    if (dirty[col] !== true) dirty[col][rIdx] = true;
+                });
+            });
+
+            return changed;
+        },
+
+        /**
+         * Parsed ASTs keyed by formula string (plus the column ids and names
+         * when the formula has structured references).
+         * @type {Object}
+         */
+        astCache: {},
+
+        /**
+         * Get the parsed AST for a formula, parsing it at most once.
+         *
+         * @param {string} formula
+         * @param {Array} [cols] - Column definitions, to resolve {id} and [Name].
+         * @returns {Object} AST; a formula that does not parse yields an
+         *                  'error' node that evaluates to #ERROR!.
+         */
+        getAst: function(formula, cols) {
+            var key = formula;
+            if (cols && /[{[]/.test(formula)) {
+                key += '\n' + cols.map(function(c) { return c.id + '\t' + c.name; }).join('\n');
+            }
+            if (!Object.prototype.hasOwnProperty.call(this.astCache, key)) {
+                var ast;
+                try {
+                    ast = parseFormula(formula, cols || []);
+                } catch (e) {
+                    ast = { type: 'error', error: fail(ERRORS.ERROR, e.message) };
+                }
+                this.astCache[key] = ast;
+            }
+            return this.astCache[key];
+        },
+
+        /**
+         * Build the evaluation plan for an app's formula columns: parsed ASTs,
+         * the column dependency graph and its components in evaluation order.
+         *
+         * @param {Object} app - { cols, rows }
+         * @returns {Object} { asts, edges, components, isCyclic(comp) }
+         */
+        buildPlan: function(app) {
+            var self = this;
+            var asts = {};
             var formulaCols = [];
+
             app.cols.forEach(function(col, cIdx) {
-                if (col.type === 'formula' && col.formula) {
-                    formulaCols.push(cIdx);
+                if (col.type !== 'formula' || !col.formula) return;
+                formulaCols.push(cIdx);
+                asts[cIdx] = self.getAst(col.formula, app.cols);
+            });
+
+            // Edges: formula column → formula columns it references.
+            var isFormula = {};
+            formulaCols.forEach(function(c) { isFormula[c] = true; });
+            var edges = {};
+            formulaCols.forEach(function(c) {
+                edges[c] = asts[c] ? referencedColumns(asts[c]).filter(function(d) { return isFormula[d]; }) : [];
+            });
+
+            return {
+                asts: asts,
+                edges: edges,
+                components: stronglyConnected(formulaCols, edges),
+                isCyclic: function(comp) {
+                    return comp.length > 1 || edges[comp[0]].indexOf(comp[0]) !== -1;
                 }
+            };
+        },
+
+        /**
+         * Evaluate a formula column for the given rows (all rows when null).
+         *
+         * @returns {Array} Row indices whose value changed.
+         */
+        evalRows: function(app, cIdx, ast, rowList) {
+            var self = this;
+            var rows = app.rows;
+            var ctx = { rows: rows, cols: app.cols, rowIdx: 0, memo: new Map(), ranges: {} };
+            var changed = [];
+
+            (rowList || rows.map(function(row, i) { return i; })).forEach(function(rIdx) {
+                if (!rows[rIdx]) return;
+                ctx.rowIdx = rIdx;
+                var before = rows[rIdx][cIdx];
+                if (!sameValue(before, self.storeValue(app, rIdx, cIdx, self.evalAst(ast, ctx)))) changed.push(rIdx);
             });
 
-            // Two passes to handle dependencies between formula columns.
-            // Skip columns that reference themselves (would cause infinite recursion).
-            for (var pass = 0; pass < 2; pass++) {
-                formulaCols.forEach(function(cIdx) {
-                    var col = app.cols[cIdx];
-                    var letter = colToLetter(cIdx);
-                    // Guard: skip self-referential formulas.
-                    var formulaUpper = col.formula.toUpperCase();
-                    if (formulaUpper.indexOf(letter) !== -1) {
-                        // Check if it's actually referencing this column (not just a substring).
-                        var selfRef = new RegExp('\\b' + letter + '(?:\\d+|\\b)', 'i');
-                        if (selfRef.test(col.formula.substring(1))) {
-                            app.rows.forEach(function(row) { row[cIdx] = '#REF'; });
-                            return;
+            return changed;
+        },
+
+        /**
+         * Evaluate a parsed formula in a context. Unexpected exceptions
+         * become #ERROR! values.
+         *
+         * @returns {*} Result value, possibly a FormulaError.
+         */
+        evalAst: function(ast, ctx) {
+            if (!ast) return fail(ERRORS.ERROR);
+            try {
+                return evalNode(ast, ctx);
+            } catch (e) {
+                console.error('MathEngine error:', e.message);
+                return fail(ERRORS.ERROR, e.message);
+            }
+        },
+
+        /**
+         * Evaluate a group of mutually dependent formula columns cell by cell.
+         *
+         * Cells are resolved on demand without recursion: reading a cell that
+         * is not evaluated yet interrupts the reading cell, which is retried
+         * once the cell it needs is done. The cells waiting on each other are
+         * kept on a stack, so long chains (B = B[1] + A over thousands of rows)
+         * cannot overflow the call stack; needing a cell that is already on
+         * the stack means a circular reference.
+         * Ranges, and results that do not depend on the row (SUM(A)), are
+         * computed once for the whole component.
+         *
+         * @param {Object} app - { cols, rows }
+         * @param {Array} comp - Column indices of the component.
+         * @param {Object} asts - col → parsed AST.
+         */
+        evalComponent: function(app, comp, asts) {
+            var self = this;
+            var rows = app.rows;
+            var PENDING = 0, WAITING = 1, DONE = 2;
+            var inComp = {};
+            var state = {};
+            var stack = [];
+            // Ranges read and whole-range results (SUM(A)) so far, shared by
+            // every cell of the component.
+            var ranges = {};
+            var memo = new Map();
+            comp.forEach(function(c) { inComp[c] = true; });
+
+            function key(r, c) { return r + ':' + c; }
+
+            function resolve(r, c) {
+                if (!inComp[c] || r < 0 || r >= rows.length) return;
+                if (state[key(r, c)] !== DONE) throw { pending: true, row: r, col: c };
+            }
+
+            function push(r, c) {
+                state[key(r, c)] = WAITING;
+                stack.push({ row: r, col: c });
+            }
+
+            // The cells from the needed one to the top of the stack form the cycle.
+            function markCycle(r, c) {
+                var i = stack.length - 1;
+                while (stack[i].row !== r || stack[i].col !== c) i--;
+                var cells = stack.splice(i);
+                var error = fail(ERRORS.CYCLE, cycleMessage(self.recordCycle(cells.map(function(cell) {
+                    return cell.col;
+                }))));
+                cells.forEach(function(cell) {
+                    store(cell.row, cell.col, error);
+                });
+            }
+
+            function store(r, c, value) {
+                self.storeValue(app, r, c, value);
+                state[key(r, c)] = DONE;
+                if (forgetRanges(ranges, r, c)) memo.clear();
+            }
+
+            function run(r, c) {
+                push(r, c);
+                while (stack.length) {
+                    var cell = stack[stack.length - 1];
+                    var value;
+                    try {
+                        value = asts[cell.col] ?
+                            evalNode(asts[cell.col], { rows: rows, cols: app.cols, rowIdx: cell.row, resolve: resolve, memo: memo, ranges: ranges }) :
+                            fail(ERRORS.ERROR);
+                    } catch (e) {
+                        if (e && e.pending) {
+                            if (state[key(e.row, e.col)] === WAITING) {
+                                markCycle(e.row, e.col);
+                            } else {
+                                push(e.row, e.col);
+                            }
+                            continue;
                         }
+                        console.error('MathEngine error:', e && e.message);
+                        value = fail(ERRORS.ERROR, e && e.message);
                     }
-                    app.rows.forEach(function(row, rIdx) {
-                        row[cIdx] = self.evaluate(col.formula, rIdx, app.rows, app.cols);
-                    });
+                    store(cell.row, cell.col, value);
+                    stack.pop();
+                }
+            }
+
+            rows.forEach(function(row, rIdx) {
+                comp.forEach(function(c) {
+                    if ((state[key(rIdx, c)] || PENDING) === PENDING) run(rIdx, c);
+                });
+            });
+        },
+
+        /**
+         * evalComponent() that never aborts a recalculation: whatever escapes
+         * it leaves the component's cells as #CYCLE (for a circular
+         * reference) or #ERROR!.
+         */
+        evalComponentSafely: function(app, comp, asts) {
+            var self = this;
+            try {
+                this.evalComponent(app, comp, asts);
+            } catch (e) {
+                var cycle = !!(e && e.pending);
+                if (!cycle) console.error('MathEngine error:', e && e.message);
+                var error = cycle ?
+                    fail(ERRORS.CYCLE, cycleMessage(this.recordCycle(comp))) :
+                    fail(ERRORS.ERROR, e && e.message);
+                app.rows.forEach(function(row, rIdx) {
+                    comp.forEach(function(c) { self.storeValue(app, rIdx, c, error); });
                 });
             }
         },
 
+        /**
+         * Remember a cycle's columns (once per distinct set of columns).
+         *
+         * @returns {Array} The cycle's distinct columns, in reference order.
+         */
+        recordCycle: function(cols) {
+            var unique = cols.filter(function(c, i) { return cols.indexOf(c) === i; });
+            var sig = unique.slice().sort(function(a, b) { return a - b; }).join(',');
+            var known = this.lastCycles.some(function(cyc) {
+                return cyc.slice().sort(function(a, b) { return a - b; }).join(',') === sig;
+            });
+            if (!known) this.lastCycles.push(unique);
+            return unique;
+        },
+
+        /**
+         * Describe a cycle for display, e.g. "C → D → C".
+         *
+         * @param {Array} cycle - Column indices.
+         * @returns {string}
+         */
+        describeCycle: function(cycle) {
+            var letters = cycle.map(colToLetter);
+            return letters.concat(letters[0]).join(' \u2192 ');
+        },
+
         // Expose helpers for other modules
         colToLetter: colToLetter,
         letterToCol: letterToCol
@@ -2,7 +2,17 @@
  * LiteStats Pro - State Module
  *
  * Handles history management for undo/redo functionality.
- * Extracted from index.html prototype.
+ *
+ * History entries hold patches, not copies of the sheet: each records only
+ * what an action changed in the columns, rows and settings, with a label
+ * ("Edited B4", "Transposed table"). A copy of the last recorded state is
+ * kept to compute the next patch from.
+ *
+ * saveState(app, label) marks the start of an action; what changes until
+ * the next saveState(), undo() or redo() is recorded under its label.
+ *
+ * The oldest entries are dropped beyond MAX_HISTORY entries, or when the
+ * cell values held by all patches exceed MAX_HISTORY_VALUES.
  *
  * @package LiteStats\Pro
  * @since   5.0.0
@@ -11,18 +21,30 @@
 (function(window) {
     'use strict';
 
+    /**
+     * Above this share of changed cells a patch stores whole rows instead
+     * of single cells (sorting, transposing, recalculating everything).
+     */
+    const CELL_PATCH_MAX_SHARE = 0.25;
+
+    /**
+     * Estimated values held by a column or settings change (definitions
+     * are small next to the rows).
+     */
+    const DEFINITION_VALUES = 20;
+
     /**
      * State Manager for handling undo/redo history.
      */
     const StateManager = {
         /**
-         * Undo stack.
+         * Undo stack of { label, patch, size }.
          * @type {Array}
          */
         undoStack: [],
 
         /**
-         * Redo stack.
+         * Redo stack of { label, patch, size }.
          * @type {Array}
          */
         redoStack: [],
@@ -31,29 +53,82 @@
          * Maximum history length.
          * @type {number}
          */
-        MAX_HISTORY: 30,
+        MAX_HISTORY: 500,
 
         /**
-         * Save current state to history.
+         * Maximum number of cell values kept in the patches of all entries.
+         * Whole-row patches hold two copies of the rows, so a large table
+         * keeps fewer steps.
+         * @type {number}
+         */
+        MAX_HISTORY_VALUES: 2000000,
+
+        /**
+         * Number of oldest entries dropped to stay within MAX_HISTORY and
+         * MAX_HISTORY_VALUES.
+         * @type {number}
+         */
+        dropped: 0,
+
+        /**
+         * Copy of { cols, rows, settings } as of the last recorded entry.
+         * @type {Object|null}
+         */
+        base: null,
+
+        /**
+         * Label of the action in progress.
+         * @type {string}
+         */
+        pendingLabel: '',
+
+        /**
+         * Record the changes made since the last call, and start a new action.
          *
          * @param {Object} app - The application state object.
+         * @param {string} label - Description of the action about to happen.
          */
-        saveState: function(app) {
+        saveState: function(app, label) {
             if (!app) {
                 return;
             }
+            this.commit(app);
+            this.pendingLabel = label || '';
+        },
 
-            if (this.undoStack.length >= this.MAX_HISTORY) {
-                this.undoStack.shift();
+        /**
+         * Record the changes made since the last entry under the pending label.
+         *
+         * @param {Object} app - The application state object.
+         * @returns {boolean} True if something had changed.
+         */
+        commit: function(app) {
+            if (!this.base) {
+                this.base = snapshot(app);
+                return false;
             }
 
-            this.undoStack.push(JSON.stringify({
-                cols: app.cols,
-                rows: app.rows
-            }));
+            const patch = diff(this.base, app);
+            if (!patch) {
+                return false;
+            }
+
+            this.undoStack.push({ label: this.pendingLabel, patch: patch, size: patchSize(patch) });
+            this.pendingLabel = '';
 
             // Clear redo on new action
             this.redoStack = [];
+
+            // The newest entry is kept even when it alone is over budget.
+            let size = this.undoStack.reduce(function(sum, entry) { return sum + entry.size; }, 0);
+            while (this.undoStack.length > 1 &&
+                (this.undoStack.length > this.MAX_HISTORY || size > this.MAX_HISTORY_VALUES)) {
+                size -= this.undoStack.shift().size;
+                this.dropped++;
+            }
+
+            applyPatch(patch, this.base, 'new');
+            return true;
         },
 
         /**
@@ -64,23 +139,16 @@
          * @returns {boolean} True if undo was successful.
          */
         undo: function(app, callback) {
+            this.commit(app);
             if (this.undoStack.length === 0) {
                 return false;
             }
 
-            // Save current state to redo
-            this.redoStack.push(JSON.stringify({
-                cols: app.cols,
-                rows: app.rows
-            }));
-
-            // Restore previous state
-            const prev = JSON.parse(this.undoStack.pop());
-            app.cols = prev.cols;
-            app.rows = prev.rows;
+            const entry = stepBack(this, app);
+            this.pendingLabel = '';
 
             if (typeof callback === 'function') {
-                callback();
+                callback(entry.label);
             }
 
             return true;
@@ -94,20 +162,40 @@
          * @returns {boolean} True if redo was successful.
          */
         redo: function(app, callback) {
-            if (this.redoStack.length === 0) {
+            if (this.redoStack.length === 0 || this.commit(app)) {
                 return false;
             }
 
-            // Save current to undo (without clearing redo)
-            this.undoStack.push(JSON.stringify({
-                cols: app.cols,
-                rows: app.rows
-            }));
+            const entry = stepForward(this, app);
+            this.pendingLabel = '';
+
+            if (typeof callback === 'function') {
+                callback(entry.label);
+            }
+
+            return true;
+        },
 
-            // Restore next state
-            const next = JSON.parse(this.redoStack.pop());
-            app.cols = next.cols;
-            app.rows = next.rows;
+        /**
+         * Undo or redo until the given number of entries is applied.
+         *
+         * @param {Object} app - The application state object.
+         * @param {number} position - Entries applied afterwards, 0 for the
+         *                            oldest state (see getEntries()).
+         * @param {Function} callback - Callback function after the jump.
+         * @returns {boolean} True if the state changed.
+         */
+        goTo: function(app, position, callback) {
+            this.commit(app);
+            const total = this.undoStack.length + this.redoStack.length;
+            position = Math.max(0, Math.min(total, position));
+            if (position === this.undoStack.length) {
+                return false;
+            }
+
+            while (this.undoStack.length > position) stepBack(this, app);
+            while (this.undoStack.length < position) stepForward(this, app);
+            this.pendingLabel = '';
 
             if (typeof callback === 'function') {
                 callback();
@@ -116,16 +204,34 @@
             return true;
         },
 
+        /**
+         * Labels of all entries, oldest first, and how many are applied:
+         * entries from position on are the ones redo would bring back.
+         * dropped counts the entries that came before the oldest one kept.
+         *
+         * @returns {Object} { labels, position, dropped }
+         */
+        getEntries: function() {
+            const labels = this.undoStack.concat(this.redoStack.slice().reverse()).map(function(entry) {
+                return entry.label;
+            });
+            return { labels: labels, position: this.undoStack.length, dropped: this.dropped };
+        },
+
         /**
          * Get history info.
          *
          * @returns {Object} History information.
          */
         getHistoryInfo: function() {
+            const last = this.undoStack[this.undoStack.length - 1];
+            const next = this.redoStack[this.redoStack.length - 1];
             return {
                 undoCount: this.undoStack.length,
                 redoCount: this.redoStack.length,
-                maxHistory: this.MAX_HISTORY
+                maxHistory: this.MAX_HISTORY,
+                undoLabel: last ? last.label : null,
+                redoLabel: next ? next.label : null
             };
         },
 
@@ -135,9 +241,238 @@
         clearHistory: function() {
             this.undoStack = [];
             this.redoStack = [];
+            this.base = null;
+            this.pendingLabel = '';
+            this.dropped = 0;
         }
     };
 
+    function stepBack(manager, app) {
+        const entry = manager.undoStack.pop();
+        applyPatch(entry.patch, app, 'old');
+        applyPatch(entry.patch, manager.base, 'old');
+        manager.redoStack.push(entry);
+        return entry;
+    }
+
+    function stepForward(manager, app) {
+        const entry = manager.redoStack.pop();
+        applyPatch(entry.patch, app, 'new');
+        applyPatch(entry.patch, manager.base, 'new');
+        manager.undoStack.push(entry);
+        return entry;
+    }
+
+    function copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function copyRows(rows) {
+        return rows.map(function(row) { return row.slice(); });
+    }
+
+    function snapshot(app) {
+        return { cols: copy(app.cols), rows: copyRows(app.rows), settings: copy(app.settings) };
+    }
+
+    function rowsEqual(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    function columnValues(rows, col) {
+        return rows.map(function(row) { return row[col]; });
+    }
+
+    /**
+     * Patch from the recorded state to the app, or null when nothing changed.
+     * Each part holds what is needed to go both ways.
+     */
+    function diff(base, app) {
+        const patch = {};
+        let changed = false;
+
+        if (JSON.stringify(base.settings) !== JSON.stringify(app.settings)) {
+            patch.settings = { old: copy(base.settings), new: copy(app.settings) };
+            changed = true;
+        }
+        if (JSON.stringify(base.cols) !== JSON.stringify(app.cols)) {
+            patch.cols = { old: copy(base.cols), new: copy(app.cols) };
+            changed = true;
+        }
+
+        const rows = diffRows(base, app);
+        if (rows) {
+            patch.rows = rows;
+            changed = true;
+        }
+
+        return changed ? patch : null;
+    }
+
+    /**
+     * Row changes as one of:
+     * - cells:   [[row, col, old, new], ...] when the layout is unchanged
+     * - splice:  rows removed and added at one position (row insert/delete/move)
+     * - columns: how columns were reordered, added and dropped, plus changed
+     *            cells (column insert/delete/move)
+     * - replace: old and new rows in full (transpose, import, large edits)
+     */
+    function diffRows(base, app) {
+        const oldRows = base.rows;
+        const newRows = app.rows;
+        const oldIds = base.cols.map(function(col) { return col.id; });
+        const newIds = app.cols.map(function(col) { return col.id; });
+        const sameCols = rowsEqual(oldIds, newIds);
+        const limit = Math.max(1, newRows.length * newIds.length * CELL_PATCH_MAX_SHARE);
+        const replace = function() {
+            return { type: 'replace', old: copyRows(oldRows), new: copyRows(newRows) };
+        };
+        let r, c;
+
+        if (sameCols && oldRows.length === newRows.length) {
+            const cells = [];
+            for (r = 0; r < newRows.length; r++) {
+                for (c = 0; c < newIds.length; c++) {
+                    if (oldRows[r][c] !== newRows[r][c]) {
+                        cells.push([r, c, oldRows[r][c], newRows[r][c]]);
+                        if (cells.length > limit) return replace();
+                    }
+                }
+            }
+            return cells.length ? { type: 'cells', cells: cells } : null;
+        }
+
+        if (sameCols) {
+            const shortest = Math.min(oldRows.length, newRows.length);
+            let start = 0;
+            while (start < shortest && rowsEqual(oldRows[start], newRows[start])) start++;
+            let end = 0;
+            while (end < shortest - start &&
+                rowsEqual(oldRows[oldRows.length - 1 - end], newRows[newRows.length - 1 - end])) {
+                end++;
+            }
+            return {
+                type: 'splice',
+                start: start,
+                removed: copyRows(oldRows.slice(start, oldRows.length - end)),
+                added: copyRows(newRows.slice(start, newRows.length - end))
+            };
+        }
+
+        // Columns matched by id; without ids (or with duplicates) store everything.
+        const order = newIds.map(function(id) { return id === undefined ? -1 : oldIds.indexOf(id); });
+        const kept = order.filter(function(i) { return i !== -1; });
+        const unique = kept.every(function(i, k) { return kept.indexOf(i) === k; });
+        if (oldRows.length !== newRows.length || !kept.length || !unique) {
+            return replace();
+        }
+
+        const patch = { type: 'columns', order: order, width: oldIds.length, dropped: {}, added: {}, cells: [] };
+        oldIds.forEach(function(id, i) {
+            if (order.indexOf(i) === -1) patch.dropped[i] = columnValues(oldRows, i);
+        });
+        for (c = 0; c < order.length; c++) {
+            if (order[c] === -1) {
+                patch.added[c] = columnValues(newRows, c);
+                continue;
+            }
+            for (r = 0; r < newRows.length; r++) {
+                if (oldRows[r][order[c]] !== newRows[r][c]) {
+                    patch.cells.push([r, c, oldRows[r][order[c]], newRows[r][c]]);
+                    if (patch.cells.length > limit) return replace();
+                }
+            }
+        }
+        return patch;
+    }
+
+    function rowValues(rows) {
+        return rows.reduce(function(sum, row) { return sum + row.length; }, 0);
+    }
+
+    /**
+     * Estimated number of values a patch holds.
+     */
+    function patchSize(patch) {
+        let size = 0;
+        if (patch.settings) size += 2 * DEFINITION_VALUES;
+        if (patch.cols) size += (patch.cols.old.length + patch.cols.new.length) * DEFINITION_VALUES;
+
+        const rows = patch.rows;
+        if (!rows) return size;
+        switch (rows.type) {
+            case 'cells':
+                return size + rows.cells.length * 2;
+            case 'splice':
+                return size + rowValues(rows.removed) + rowValues(rows.added);
+            case 'columns':
+                Object.keys(rows.dropped).forEach(function(i) { size += rows.dropped[i].length; });
+                Object.keys(rows.added).forEach(function(c) { size += rows.added[c].length; });
+                return size + rows.order.length + rows.cells.length * 2;
+            default:
+                return size + rowValues(rows.old) + rowValues(rows.new);
+        }
+    }
+
+    /**
+     * Bring state to the old or new side of a patch.
+     *
+     * @param {Object} patch
+     * @param {Object} state - App or recorded state: { cols, rows, settings }.
+     * @param {string} side - 'old' (undo) or 'new' (redo, record).
+     */
+    function applyPatch(patch, state, side) {
+        if (patch.settings) state.settings = copy(patch.settings[side]);
+        if (patch.cols) state.cols = copy(patch.cols[side]);
+        if (patch.rows) state.rows = applyRows(patch.rows, state.rows, side);
+    }
+
+    function applyRows(patch, rows, side) {
+        const toNew = side === 'new';
+
+        switch (patch.type) {
+            case 'cells':
+                patch.cells.forEach(function(cell) {
+                    rows[cell[0]][cell[1]] = toNew ? cell[3] : cell[2];
+                });
+                return rows;
+
+            case 'splice': {
+                const remove = toNew ? patch.removed : patch.added;
+                const insert = copyRows(toNew ? patch.added : patch.removed);
+                rows.splice.apply(rows, [patch.start, remove.length].concat(insert));
+                return rows;
+            }
+
+            case 'columns':
+                if (toNew) {
+                    rows = rows.map(function(row, r) {
+                        return patch.order.map(function(from, c) {
+                            return from === -1 ? patch.added[c][r] : row[from];
+                        });
+                    });
+                    patch.cells.forEach(function(cell) { rows[cell[0]][cell[1]] = cell[3]; });
+                    return rows;
+                }
+                patch.cells.forEach(function(cell) { rows[cell[0]][cell[1]] = cell[2]; });
+                return rows.map(function(row, r) {
+                    const old = [];
+                    for (let i = 0; i < patch.width; i++) {
+                        const c = patch.order.indexOf(i);
+                        old.push(c === -1 ? patch.dropped[i][r] : row[c]);
+                    }
+                    return old;
+                });
+
+            default:
+                return copyRows(patch[side]);
+        }
+    }
+
     // Export to window
     window.LiteStatsState = StateManager;
 
@@ -168,6 +168,18 @@ class Admin {
                 true
             );
 
+            /**
+             * Fires after the formula engine is enqueued in the chart editor.
+             *
+             * Enqueue scripts that call LiteStatsMathEngine.registerFunction()
+             * here, with the given handle as a dependency.
+             *
+             * @since 6.6.0
+             *
+             * @param string $handle Formula engine script handle.
+             */
+            do_action( 'litestats_pro_enqueue_formula_functions', 'litestats-pro-math-engine' );
+
             // State/History module.
             wp_enqueue_script(
                 'litestats-pro-state',
@@ -204,11 +216,65 @@ class Admin {
                 true
             );
 
+            // Grid Navigation module.
+            wp_enqueue_script(
+                'litestats-pro-grid-nav',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/grid-nav.js',
+                [ 'litestats-pro-grid-ui' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
+            // Grid Clipboard module.
+            wp_enqueue_script(
+                'litestats-pro-grid-clipboard',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/grid-clipboard.js',
+                [ 'litestats-pro-grid-ui', 'litestats-pro-grid-nav' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
+            // Grid Fill module.
+            wp_enqueue_script(
+                'litestats-pro-grid-fill',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/grid-fill.js',
+                [ 'litestats-pro-grid-ui', 'litestats-pro-grid-nav' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
+            // History Panel module.
+            wp_enqueue_script(
+                'litestats-pro-history-panel',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/history-panel.js',
+                [ 'litestats-pro-state', 'litestats-pro-grid-ui' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
+            // Formula Bar module.
+            wp_enqueue_script(
+                'litestats-pro-formula-bar',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/formula-bar.js',
+                [ 'litestats-pro-math-engine' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
+            // Data Labels module (Chart.js plugin).
+            wp_enqueue_script(
+                'litestats-pro-data-labels',
+                LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/data-labels.js',
+                [ 'chartjs' ],
+                LITESTATS_PRO_VERSION,
+                true
+            );
+
             // Main admin app.
             wp_enqueue_script(
                 'litestats-pro-admin-app',
                 LITESTATS_PRO_PLUGIN_URL . 'assets/js/admin-app.js',
-                [ 'jquery', 'chartjs', 'litestats-pro-math-engine', 'litestats-pro-state', 'litestats-pro-grid-ui', 'litestats-pro-csv-wizard', 'litestats-pro-conditional-format' ],
+                [ 'jquery', 'chartjs', 'litestats-pro-math-engine', 'litestats-pro-state', 'litestats-pro-grid-ui', 'litestats-pro-grid-nav', 'litestats-pro-grid-clipboard', 'litestats-pro-grid-fill', 'litestats-pro-history-panel', 'litestats-pro-csv-wizard', 'litestats-pro-conditional-format', 'litestats-pro-formula-bar', 'litestats-pro-data-labels' ],
                 LITESTATS_PRO_VERSION,
                 true
             );
@@ -233,17 +299,82 @@ class Admin {
                     'chartId'   => $chart_id,
                     'chartData' => $chart_data,
                     'strings'   => [
-                        'saveSuccess'    => __( 'Chart saved successfully!', 'litestats-pro' ),
-                        'saveError'      => __( 'Error saving chart.', 'litestats-pro' ),
-                        'deleteConfirm'  => __( 'Are you sure you want to delete this chart?', 'litestats-pro' ),
-                        'undoSuccess'    => __( 'Undo successful', 'litestats-pro' ),
-                        'redoSuccess'    => __( 'Redo successful', 'litestats-pro' ),
-                        'transposed'     => __( 'Table Transposed', 'litestats-pro' ),
-                        'csvImported'    => __( 'CSV Imported', 'litestats-pro' ),
-                        'selectColumn'   => __( 'Select a column first', 'litestats-pro' ),
-                        'cannotDelete'   => __( 'Cannot delete last column', 'litestats-pro' ),
-                        'stackingOn'     => __( 'Stacking: ON', 'litestats-pro' ),
-                        'stackingOff'    => __( 'Stacking: OFF', 'litestats-pro' ),
+                        'saveSuccess'          => __( 'Chart saved successfully!', 'litestats-pro' ),
+                        'saveError'            => __( 'Error saving chart.', 'litestats-pro' ),
+                        'deleteConfirm'        => __( 'Are you sure you want to delete this chart?', 'litestats-pro' ),
+                        'undoSuccess'          => __( 'Undo successful', 'litestats-pro' ),
+                        'redoSuccess'          => __( 'Redo successful', 'litestats-pro' ),
+                        'transposed'           => __( 'Table Transposed', 'litestats-pro' ),
+                        'csvImported'          => __( 'CSV Imported', 'litestats-pro' ),
+                        'selectColumn'         => __( 'Select a column first', 'litestats-pro' ),
+                        'cannotDelete'         => __( 'Cannot delete last column', 'litestats-pro' ),
+                        'stackingOn'           => __( 'Stacking: ON', 'litestats-pro' ),
+                        'stackingOff'          => __( 'Stacking: OFF', 'litestats-pro' ),
+                        /* translators: %s: columns involved, e.g. "C → D → C". */
+                        'circularRef'          => __( 'Circular reference: %s', 'litestats-pro' ),
+                        /* translators: 1: formula error message, 2: character position in the formula. */
+                        'formulaErrorAt'       => __( '%1$s (at character %2$d)', 'litestats-pro' ),
+                        'ascending'            => __( 'Ascending', 'litestats-pro' ),
+                        'descending'           => __( 'Descending', 'litestats-pro' ),
+                        'undoTitle'            => __( 'Undo (Ctrl+Z)', 'litestats-pro' ),
+                        'redoTitle'            => __( 'Redo (Ctrl+Y)', 'litestats-pro' ),
+                        /* translators: %s: history label of the step, e.g. "Edited B4". */
+                        'undoAction'           => __( 'Undo: %s (Ctrl+Z)', 'litestats-pro' ),
+                        /* translators: %s: history label of the step, e.g. "Edited B4". */
+                        'redoAction'           => __( 'Redo: %s (Ctrl+Y)', 'litestats-pro' ),
+                        /* translators: %s: history label of the step, e.g. "Edited B4". */
+                        'undoneAction'         => __( 'Undone: %s', 'litestats-pro' ),
+                        /* translators: %s: history label of the step, e.g. "Edited B4". */
+                        'redoneAction'         => __( 'Redone: %s', 'litestats-pro' ),
+                        /* translators: %s: cell reference, e.g. "B4". */
+                        'historyEditCell'      => __( 'Edited %s', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historyEditFormula'   => __( 'Edited formula of "%s"', 'litestats-pro' ),
+                        'historyAddRow'        => __( 'Added row', 'litestats-pro' ),
+                        'historyAddCol'        => __( 'Added column', 'litestats-pro' ),
+                        /* translators: %d: row number. */
+                        'historyDelRow'        => __( 'Deleted row %d', 'litestats-pro' ),
+                        /* translators: %d: row number. */
+                        'historyMoveRow'       => __( 'Moved row %d', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historySortRows'      => __( 'Sorted rows by "%s"', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historyDelCol'        => __( 'Deleted column "%s"', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historyMoveCol'       => __( 'Moved column "%s"', 'litestats-pro' ),
+                        /* translators: %s: column name before the change. */
+                        'historyRenameCol'     => __( 'Renamed column "%s"', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historyColType'       => __( 'Changed type of column "%s"', 'litestats-pro' ),
+                        /* translators: %s: column name. */
+                        'historyFormatCol'     => __( 'Formatted column "%s"', 'litestats-pro' ),
+                        /* translators: %d: number of cells. */
+                        'historyClear'         => __( 'Cleared %d cells', 'litestats-pro' ),
+                        /* translators: %d: number of cells. */
+                        'historyFill'          => __( 'Filled %d cells', 'litestats-pro' ),
+                        /* translators: %d: number of cells. */
+                        'historyPaste'         => __( 'Pasted %d cells', 'litestats-pro' ),
+                        'historyTranspose'     => __( 'Transposed table', 'litestats-pro' ),
+                        'historyImport'        => __( 'Imported CSV', 'litestats-pro' ),
+                        /* translators: %s: imported file name. */
+                        'historyImportFile'    => __( 'Imported %s', 'litestats-pro' ),
+                        'historyChartSettings' => __( 'Changed chart settings', 'litestats-pro' ),
+                        'historyTableSettings' => __( 'Changed table settings', 'litestats-pro' ),
+                        'historyCondRules'     => __( 'Changed conditional formatting', 'litestats-pro' ),
+                        'historyViewChart'     => __( 'Switched to chart view', 'litestats-pro' ),
+                        'historyViewTable'     => __( 'Switched to table view', 'litestats-pro' ),
+                        'historyStackOn'       => __( 'Turned stacking on', 'litestats-pro' ),
+                        'historyStackOff'      => __( 'Turned stacking off', 'litestats-pro' ),
+                        /* translators: %s: snapshot name. */
+                        'historyRestore'       => __( 'Restored snapshot "%s"', 'litestats-pro' ),
+                        'historyStart'         => __( 'Opened chart', 'litestats-pro' ),
+                        /* translators: %d: number of older changes no longer kept in the history. */
+                        'historyTrimmed'       => __( 'After %d earlier changes', 'litestats-pro' ),
+                        'historyUnlabeled'     => __( 'Change', 'litestats-pro' ),
+                        /* translators: %d: snapshot number. */
+                        'untitledSnapshot'     => __( 'Snapshot %d', 'litestats-pro' ),
+                        'deleteSnapshot'       => __( 'Delete snapshot', 'litestats-pro' ),
+                        'snapshotStorageFull'  => __( 'Snapshot kept for this page only: browser storage is full.', 'litestats-pro' ),
                     ],
                 ]
             );
@@ -318,27 +318,31 @@ class DataHandler {
      */
     public function get_default_settings(): array {
         return [
-            'chartType'        => 'bar',
-            'theme'            => 'default',
-            'stacked'          => false,
-            'view'             => 'chart',
-            'chartLabelCol'    => 0,
-            'chartDataCols'    => [],
-            'xAxisLabel'       => '',
-            'yAxisLabel'       => '',
-            'showLegend'       => true,
-            'showDataLabels'   => false,
-            'seriesColors'     => (object) [],
-            'tableRowsPerPage' => 25,
-            'tableShowSearch'  => true,
-            'tableShowExport'  => true,
-            'tableStriped'     => true,
-            'conditionalRules' => [],
-            'fillArea'         => false,
-            'lineTension'      => 0.4,
-            'beginAtZero'      => true,
-            'pieMaxWidth'      => 0,
-            'groupByCol'       => -1,
+            'chartType'          => 'bar',
+            'theme'              => 'default',
+            'stacked'            => false,
+            'view'               => 'chart',
+            'chartLabelCol'      => 0,
+            'chartDataCols'      => [],
+            'xAxisLabel'         => '',
+            'yAxisLabel'         => '',
+            'showLegend'         => true,
+            'showDataLabels'     => false,
+            'dataLabelPosition'  => 'end',
+            'seriesColors'       => (object) [],
+            'tableRowsPerPage'   => 25,
+            'tableShowSearch'    => true,
+            'tableShowExport'    => true,
+            'tableStriped'       => true,
+            'showFooter'         => false,
+            'tableColumnFilters' => false,
+            'tableDefaultSort'   => [],
+            'conditionalRules'   => [],
+            'fillArea'           => false,
+            'lineTension'        => 0.4,
+            'beginAtZero'        => true,
+            'pieMaxWidth'        => 0,
+            'groupByCol'         => -1,
         ];
     }
 
@@ -365,10 +369,10 @@ class DataHandler {
                     'type'    => isset( $col['type'] ) && in_array( $col['type'], $valid_types, true )
                         ? $col['type']
                         : 'string',
-                    'formula' => isset( $col['formula'] ) ? sanitize_text_field( $col['formula'] ) : '',
+                    'formula' => isset( $col['formula'] ) ? $this->sanitize_formula( $col['formula'] ) : '',
                     'width'   => isset( $col['width'] ) ? absint( $col['width'] ) : 100,
                     'props'   => isset( $col['props'] ) && is_array( $col['props'] )
-                        ? array_map( 'sanitize_text_field', $col['props'] )
+                        ? $this->sanitize_col_props( $col['props'] )
                         : [],
                 ];
             }
@@ -395,6 +399,39 @@ class DataHandler {
         return $sanitized;
     }
 
+    /**
+     * Sanitize column props. The totals row (footer) may hold a formula.
+     *
+     * @param array $props Column props to sanitize.
+     * @return array Sanitized props.
+     */
+    private function sanitize_col_props( array $props ): array {
+        $sanitized = [];
+        foreach ( $props as $key => $value ) {
+            $sanitized[ $key ] = 'footer' === $key && is_string( $value ) && '=' === substr( $value, 0, 1 )
+                ? $this->sanitize_formula( $value )
+                : sanitize_text_field( $value );
+        }
+        return $sanitized;
+    }
+
+    /**
+     * Sanitize a formula.
+     *
+     * sanitize_text_field() would strip or encode the "<" and ">" of criteria
+     * such as "<100" and "<>EU", so formulas only lose control characters.
+     * They are evaluated by the math engine, never output as HTML. Slashes
+     * added to request data are removed before the JSON is decoded (see
+     * Ajax::save_chart()); a backslash left here escapes a quote in a string.
+     *
+     * @param mixed $formula Formula to sanitize, e.g. '=SUMIF(A,"<100",B)'.
+     * @return string Sanitized formula.
+     */
+    private function sanitize_formula( $formula ): string {
+        $formula = wp_check_invalid_utf8( (string) $formula );
+        return trim( (string) preg_replace( '/[\x00-\x1F\x7F]/', '', $formula ) );
+    }
+
     /**
      * Sanitize settings data.
      *
@@ -418,14 +455,16 @@ class DataHandler {
             : $defaults['theme'];
 
         // Booleans.
-        $sanitized['stacked']          = isset( $settings['stacked'] ) ? (bool) $settings['stacked'] : $defaults['stacked'];
-        $sanitized['showLegend']       = isset( $settings['showLegend'] ) ? (bool) $settings['showLegend'] : $defaults['showLegend'];
-        $sanitized['showDataLabels']   = isset( $settings['showDataLabels'] ) ? (bool) $settings['showDataLabels'] : $defaults['showDataLabels'];
-        $sanitized['tableShowSearch']  = isset( $settings['tableShowSearch'] ) ? (bool) $settings['tableShowSearch'] : $defaults['tableShowSearch'];
-        $sanitized['tableShowExport']  = isset( $settings['tableShowExport'] ) ? (bool) $settings['tableShowExport'] : $defaults['tableShowExport'];
-        $sanitized['tableStriped']     = isset( $settings['tableStriped'] ) ? (bool) $settings['tableStriped'] : $defaults['tableStriped'];
-        $sanitized['fillArea']         = isset( $settings['fillArea'] ) ? (bool) $settings['fillArea'] : $defaults['fillArea'];
-        $sanitized['beginAtZero']      = isset( $settings['beginAtZero'] ) ? (bool) $settings['beginAtZero'] : $defaults['beginAtZero'];
+        $sanitized['stacked']            = isset( $settings['stacked'] ) ? (bool) $settings['stacked'] : $defaults['stacked'];
+        $sanitized['showLegend']         = isset( $settings['showLegend'] ) ? (bool) $settings['showLegend'] : $defaults['showLegend'];
+        $sanitized['showDataLabels']     = isset( $settings['showDataLabels'] ) ? (bool) $settings['showDataLabels'] : $defaults['showDataLabels'];
+        $sanitized['tableShowSearch']    = isset( $settings['tableShowSearch'] ) ? (bool) $settings['tableShowSearch'] : $defaults['tableShowSearch'];
+        $sanitized['tableShowExport']    = isset( $settings['tableShowExport'] ) ? (bool) $settings['tableShowExport'] : $defaults['tableShowExport'];
+        $sanitized['tableStriped']       = isset( $settings['tableStriped'] ) ? (bool) $settings['tableStriped'] : $defaults['tableStriped'];
+        $sanitized['showFooter']         = isset( $settings['showFooter'] ) ? (bool) $settings['showFooter'] : $defaults['showFooter'];
+        $sanitized['tableColumnFilters'] = isset( $settings['tableColumnFilters'] ) ? (bool) $settings['tableColumnFilters'] : $defaults['tableColumnFilters'];
+        $sanitized['fillArea']           = isset( $settings['fillArea'] ) ? (bool) $settings['fillArea'] : $defaults['fillArea'];
+        $sanitized['beginAtZero']        = isset( $settings['beginAtZero'] ) ? (bool) $settings['beginAtZero'] : $defaults['beginAtZero'];
 
         // View.
         $valid_views          = [ 'chart', 'table' ];
@@ -439,6 +478,12 @@ class DataHandler {
             ? array_map( 'absint', $settings['chartDataCols'] )
             : $defaults['chartDataCols'];
 
+        // Data label position.
+        $valid_label_positions          = [ 'end', 'center', 'start' ];
+        $sanitized['dataLabelPosition'] = isset( $settings['dataLabelPosition'] ) && in_array( $settings['dataLabelPosition'], $valid_label_positions, true )
+            ? $settings['dataLabelPosition']
+            : $defaults['dataLabelPosition'];
+
         // Strings.
         $sanitized['xAxisLabel']     = isset( $settings['xAxisLabel'] ) ? sanitize_text_field( $settings['xAxisLabel'] ) : $defaults['xAxisLabel'];
         $sanitized['yAxisLabel']     = isset( $settings['yAxisLabel'] ) ? sanitize_text_field( $settings['yAxisLabel'] ) : $defaults['yAxisLabel'];
@@ -496,6 +541,20 @@ class DataHandler {
             }
         }
 
+        // Default table sort levels.
+        $sanitized['tableDefaultSort'] = [];
+        if ( isset( $settings['tableDefaultSort'] ) && is_array( $settings['tableDefaultSort'] ) ) {
+            foreach ( $settings['tableDefaultSort'] as $level ) {
+                if ( ! is_array( $level ) || ! isset( $level['col'] ) ) {
+                    continue;
+                }
+                $sanitized['tableDefaultSort'][] = [
+                    'col' => absint( $level['col'] ),
+                    'dir' => isset( $level['dir'] ) && 'desc' === $level['dir'] ? 'desc' : 'asc',
+                ];
+            }
+        }
+
         // Group by column (-1 = disabled).
         $sanitized['groupByCol'] = isset( $settings['groupByCol'] ) ? intval( $settings['groupByCol'] ) : $defaults['groupByCol'];
 
@@ -219,6 +219,7 @@ class Shortcode {
                         <table class="litestats-table<?php echo $settings['tableStriped'] ? ' litestats-striped' : ''; ?>">
                             <thead></thead>
                             <tbody></tbody>
+                            <tfoot></tfoot>
                         </table>
                         <div class="litestats-pagination"></div>
                     </div>
@@ -254,10 +255,30 @@ class Shortcode {
             LITESTATS_PRO_VERSION
         );
 
+        // Formula engine (totals row formulas and custom functions).
+        wp_enqueue_script(
+            'litestats-pro-math-engine',
+            LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/math-engine.js',
+            [],
+            LITESTATS_PRO_VERSION,
+            true
+        );
+
+        /** This action is documented in includes/class-admin.php */
+        do_action( 'litestats_pro_enqueue_formula_functions', 'litestats-pro-math-engine' );
+
+        wp_enqueue_script(
+            'litestats-pro-data-labels',
+            LITESTATS_PRO_PLUGIN_URL . 'assets/js/modules/data-labels.js',
+            [ 'chartjs' ],
+            LITESTATS_PRO_VERSION,
+            true
+        );
+
         wp_enqueue_script(
             'litestats-pro-frontend',
             LITESTATS_PRO_PLUGIN_URL . 'assets/js/frontend-app.js',
-            [ 'chartjs' ],
+            [ 'chartjs', 'litestats-pro-math-engine', 'litestats-pro-data-labels' ],
             LITESTATS_PRO_VERSION,
             true
         );
@@ -278,6 +299,11 @@ class Shortcode {
                     'all'       => __( 'All', 'litestats-pro' ),
                     'min'       => __( 'Min', 'litestats-pro' ),
                     'max'       => __( 'Max', 'litestats-pro' ),
+                    'from'      => __( 'From', 'litestats-pro' ),
+                    'to'        => __( 'To', 'litestats-pro' ),
+                    'contains'  => __( 'Contains', 'litestats-pro' ),
+                    'equals'    => __( 'Equals', 'litestats-pro' ),
+                    'filter'    => __( 'Filter...', 'litestats-pro' ),
                 ],
             ]
         );
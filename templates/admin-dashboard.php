@@ -71,6 +71,9 @@ if ( ! $is_new ) {
                 <button class="btn btn-sm" id="redoBtn" title="<?php esc_attr_e( 'Redo (Ctrl+Y)', 'litestats-pro' ); ?>">
                     <i class="fas fa-redo"></i>
                 </button>
+                <button class="btn btn-sm" id="historyBtn" title="<?php esc_attr_e( 'History and snapshots', 'litestats-pro' ); ?>">
+                    <i class="fas fa-history"></i>
+                </button>
                 <div class="divider"></div>
 
                 <button class="btn btn-sm" id="transposeBtn">
@@ -109,19 +112,25 @@ if ( ! $is_new ) {
             <!-- Formula Bar -->
             <div class="litestats-formula-bar-wrapper">
                 <span class="fx-icon">fx</span>
-                <input type="text" class="formula-input" id="formulaInput"
-                       placeholder="<?php esc_attr_e( 'e.g. =B+C, =SUM(B), =B1*5%, =IF(C>B, "UP", "DOWN")', 'litestats-pro' ); ?>"
-                       disabled>
+                <div class="formula-input-wrap">
+                    <input type="text" class="formula-input" id="formulaInput" autocomplete="off" spellcheck="false"
+                           placeholder="<?php esc_attr_e( 'e.g. =B+C, =SUM(B), =B1*5%, =IF(C>B, "UP", "DOWN")', 'litestats-pro' ); ?>"
+                           disabled>
+                    <div class="formula-autocomplete" id="formulaAutocomplete" hidden></div>
+                    <div class="formula-signature" id="formulaSignature" hidden></div>
+                    <div class="formula-error" id="formulaError" role="alert" hidden></div>
+                </div>
                 <div class="formula-help">
-                    <?php esc_html_e( 'Use column letters (A, B, C) or cell refs (A1, B3). Functions: SUM, AVG, MIN, MAX, IF, ABS, ROUND, COUNT', 'litestats-pro' ); ?>
+                    <?php esc_html_e( 'Use column letters (A, B, C), column names in brackets ([2024 Sales]), cell refs (A1, B3), ranges (B1:B12, B:D) or relative rows (B[-1] is the previous row). Functions: SUM, AVG, MIN, MAX, IF, ABS, ROUND, COUNT, PREV, NEXT, OFFSET, CUMSUM, RUNNING, MEDIAN, MODE, STDEV(.S/.P), VAR(.S/.P), PERCENTILE, QUARTILE, PERCENTRANK, RANK, CORREL, AND, OR, NOT, IFS, SWITCH, IFERROR, VLOOKUP, XLOOKUP, INDEX, MATCH, SUMIF(S), COUNTIF(S), AVERAGEIF(S), TODAY, DATE, YEAR, MONTH, DAY, WEEKNUM, EOMONTH, DATEDIF, LEFT, RIGHT, MID, LEN, UPPER, LOWER, TRIM, SUBSTITUTE, FIND, TEXT, VALUE. Subtracting two dates gives days; & joins text.', 'litestats-pro' ); ?>
                 </div>
             </div>
 
             <!-- Grid Container -->
             <div class="litestats-grid-container">
-                <table class="litestats-grid" id="mainGrid">
+                <table class="litestats-grid" id="mainGrid" tabindex="-1">
                     <thead id="gridHead"></thead>
                     <tbody id="gridBody"></tbody>
+                    <tfoot id="gridFoot"></tfoot>
                 </table>
             </div>
 
@@ -134,6 +143,25 @@ if ( ! $is_new ) {
             <input type="file" id="csvInput" hidden accept=".csv,.tsv,.txt">
         </div>
 
+        <!-- History Sidebar -->
+        <aside class="litestats-history-panel" id="historyPanel" hidden>
+            <div class="history-header">
+                <strong><?php esc_html_e( 'History', 'litestats-pro' ); ?></strong>
+                <button type="button" class="btn btn-sm" id="closeHistoryBtn" title="<?php esc_attr_e( 'Close', 'litestats-pro' ); ?>">&times;</button>
+            </div>
+
+            <div class="history-section-title"><?php esc_html_e( 'Snapshots', 'litestats-pro' ); ?></div>
+            <form class="snapshot-form">
+                <input type="text" class="btn" maxlength="80" placeholder="<?php esc_attr_e( 'Snapshot name', 'litestats-pro' ); ?>">
+                <button type="submit" class="btn btn-sm"><?php esc_html_e( 'Save', 'litestats-pro' ); ?></button>
+            </form>
+            <ul class="snapshot-list"></ul>
+            <small class="format-hint"><?php esc_html_e( 'Snapshots are kept in this browser until the chart is saved.', 'litestats-pro' ); ?></small>
+
+            <div class="history-section-title"><?php esc_html_e( 'Actions', 'litestats-pro' ); ?></div>
+            <ul class="history-list"></ul>
+        </aside>
+
         <!-- Right Preview Panel -->
         <div class="litestats-preview-panel">
             <!-- Title -->
@@ -167,6 +195,7 @@ if ( ! $is_new ) {
                         <table class="wp-table" id="feTable">
                             <thead id="feThead"></thead>
                             <tbody id="feTbody"></tbody>
+                            <tfoot id="feTfoot"></tfoot>
                         </table>
                     </div>
                 </div>
@@ -242,6 +271,16 @@ if ( ! $is_new ) {
                     </label>
                 </div>
 
+                <!-- Data label placement -->
+                <div class="config-row" id="dataLabelOptions" style="margin-top:10px;display:none;">
+                    <label for="dataLabelPosition"><?php esc_html_e( 'Label Position', 'litestats-pro' ); ?></label>
+                    <select class="btn" id="dataLabelPosition" style="width:100%">
+                        <option value="end"><?php esc_html_e( 'Outside End', 'litestats-pro' ); ?></option>
+                        <option value="center"><?php esc_html_e( 'Center', 'litestats-pro' ); ?></option>
+                        <option value="start"><?php esc_html_e( 'Inside Base', 'litestats-pro' ); ?></option>
+                    </select>
+                </div>
+
                 <!-- Line chart options -->
                 <div class="config-row" id="lineChartOptions" style="margin-top:10px;display:none;">
                     <label class="checkbox-label">
@@ -288,8 +327,27 @@ if ( ! $is_new ) {
                             <input type="checkbox" id="tableShowExport" checked>
                             <?php esc_html_e( 'Export', 'litestats-pro' ); ?>
                         </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="tableColumnFilters">
+                            <?php esc_html_e( 'Column Filters', 'litestats-pro' ); ?>
+                        </label>
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="showFooter">
+                            <?php esc_html_e( 'Totals Row', 'litestats-pro' ); ?>
+                        </label>
                     </div>
                 </div>
+
+                <div class="config-row" style="margin-top:10px;">
+                    <div class="card-header">
+                        <label><?php esc_html_e( 'Default Sort', 'litestats-pro' ); ?></label>
+                        <button class="btn btn-sm" id="addDefaultSortBtn">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </div>
+                    <div id="defaultSortContainer"></div>
+                    <small class="format-hint"><?php esc_html_e( 'Visitors can Shift+click headers to sort by several columns.', 'litestats-pro' ); ?></small>
+                </div>
             </div>
 
             <!-- Column Formatting Card -->
@@ -304,6 +362,24 @@ if ( ! $is_new ) {
                         <option value="2">1.00</option>
                     </select>
                 </div>
+                <div class="config-grid" style="margin-top:10px;">
+                    <div>
+                        <label for="colFooter"><?php esc_html_e( 'Totals Row', 'litestats-pro' ); ?></label>
+                        <select class="btn" id="colFooter" style="width:100%">
+                            <option value=""><?php esc_html_e( 'None', 'litestats-pro' ); ?></option>
+                            <option value="sum"><?php esc_html_e( 'Sum', 'litestats-pro' ); ?></option>
+                            <option value="avg"><?php esc_html_e( 'Average', 'litestats-pro' ); ?></option>
+                            <option value="count"><?php esc_html_e( 'Count', 'litestats-pro' ); ?></option>
+                            <option value="min"><?php esc_html_e( 'Min', 'litestats-pro' ); ?></option>
+                            <option value="max"><?php esc_html_e( 'Max', 'litestats-pro' ); ?></option>
+                            <option value="formula"><?php esc_html_e( 'Custom Formula', 'litestats-pro' ); ?></option>
+                        </select>
+                    </div>
+                    <div>
+                        <label for="colFooterFormula"><?php esc_html_e( 'Totals Formula', 'litestats-pro' ); ?></label>
+                        <input type="text" class="btn" id="colFooterFormula" style="width:100%" placeholder="<?php esc_attr_e( 'e.g. =SUM(C)/SUM(B)', 'litestats-pro' ); ?>" disabled>
+                    </div>
+                </div>
                 <div class="formula-percent-option" id="formulaPercentOption" style="display:none; margin-top:10px;">
                     <label>
                         <input type="checkbox" id="colIsPercent">
@@ -0,0 +1,31 @@
+<?php
+/**
+ * PHPUnit bootstrap file.
+ *
+ * Runs against the WordPress test suite; point WP_TESTS_DIR at its checkout.
+ *
+ * @package LiteStats\Pro
+ */
+
+$_tests_dir = getenv( 'WP_TESTS_DIR' );
+
+if ( ! $_tests_dir ) {
+    $_tests_dir = rtrim( sys_get_temp_dir(), '/\\' ) . '/wordpress-tests-lib';
+}
+
+if ( ! file_exists( "{$_tests_dir}/includes/functions.php" ) ) {
+    echo "Could not find {$_tests_dir}/includes/functions.php, set WP_TESTS_DIR to the WordPress test suite." . PHP_EOL; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    exit( 1 );
+}
+
+require_once "{$_tests_dir}/includes/functions.php";
+
+/**
+ * Load the plugin.
+ */
+function _manually_load_plugin() {
+    require dirname( __DIR__ ) . '/litestats-pro.php';
+}
+tests_add_filter( 'muplugins_loaded', '_manually_load_plugin' );
+
+require "{$_tests_dir}/includes/bootstrap.php";
@@ -0,0 +1,101 @@
+/**
+ * Math engine tests. Run with: node --test tests/js/
+ *
+ * @package LiteStats\Pro
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const window = {};
+vm.runInNewContext(
+    fs.readFileSync(path.join(__dirname, '../../assets/js/modules/math-engine.js'), 'utf8'),
+    { window: window }
+);
+const engine = window.LiteStatsMathEngine;
+
+/**
+ * Column map after deleting column `idx` from a table of `count` columns,
+ * as built by the admin app's delCol().
+ */
+function deleteMap(idx, count) {
+    const map = [];
+    for (let c = 0; c < count; c++) {
+        map.push(c < idx ? c : (c === idx ? -1 : c - 1));
+    }
+    return map;
+}
+
+/**
+ * Column map after swapping columns `idx` and `idx + dir`, as built by the
+ * admin app's moveCol().
+ */
+function moveMap(idx, dir) {
+    const map = [];
+    map[idx] = idx + dir;
+    map[idx + dir] = idx;
+    return map;
+}
+
+test('remapColumns shrinks a range when its end column is deleted', () => {
+    assert.strictEqual(engine.remapColumns('=SUM(B:C)', deleteMap(1, 4)), '=SUM(B:B)');
+    assert.strictEqual(engine.remapColumns('=SUM(A:C)', deleteMap(0, 4)), '=SUM(A:B)');
+    assert.strictEqual(engine.remapColumns('=SUM(B2:D9)', deleteMap(3, 4)), '=SUM(B2:C9)');
+    assert.strictEqual(engine.remapColumns('=SUM(B:D)', deleteMap(2, 4)), '=SUM(B:C)');
+});
+
+test('remapColumns gives #REF! when every column of a range is deleted', () => {
+    assert.strictEqual(engine.remapColumns('=SUM(B:B) + A', deleteMap(1, 3)), '=SUM(#REF!) + A');
+    assert.strictEqual(engine.remapColumns('=C[-1] * 2', deleteMap(2, 3)), '=#REF! * 2');
+});
+
+test('remapColumns keeps the columns of a range when one moves inside it', () => {
+    assert.strictEqual(engine.remapColumns('=SUM(B:D)', moveMap(1, 1)), '=SUM(B:D)');
+    assert.strictEqual(engine.remapColumns('=SUM(B:D)', moveMap(3, -1)), '=SUM(B:D)');
+    assert.strictEqual(engine.remapColumns('=SUM(b2:c5)', moveMap(1, 1)), '=SUM(b2:c5)');
+});
+
+test('remapColumns follows a range whose columns all move', () => {
+    assert.strictEqual(engine.remapColumns('=SUM(B:B)', moveMap(1, 1)), '=SUM(C:C)');
+    assert.strictEqual(engine.remapColumns('=SUM(B:C) + D', moveMap(1, 1)), '=SUM(B:C) + D');
+});
+
+test('remapColumns splits a range when a column moves across its edge', () => {
+    assert.strictEqual(engine.remapColumns('=SUM(B:C)', moveMap(2, 1)), '=SUM(B:B, D:D)');
+    assert.strictEqual(engine.remapColumns('=SUM(B:C) + A', moveMap(0, 1)), '=SUM(A:A, C:C) + B');
+    assert.strictEqual(engine.remapColumns('=AVG(A, B1:C3)', moveMap(0, 1)), '=AVG(B, A1:A3, C1:C3)');
+    assert.strictEqual(engine.remapColumns('=SUMIF(B:C, ">1")', moveMap(2, 1)), '=SUMIF(#REF!, ">1")');
+    assert.strictEqual(engine.remapColumns('=SUM(B:C * 2)', moveMap(2, 1)), '=SUM(#REF! * 2)');
+});
+
+test('moved ranges evaluate to the same result', () => {
+    const app = {
+        cols: [
+            { name: 'A', type: 'number' },
+            { name: 'B', type: 'number' },
+            { name: 'C', type: 'number' },
+            { name: 'D', type: 'number' },
+            { name: 'Total', type: 'formula', formula: '=SUM(B:C)' }
+        ],
+        rows: [[1, 10, 100, 1000, null], [2, 20, 200, 2000, null]]
+    };
+    engine.recalcAll(app);
+    const before = app.rows.map((row) => row[4]);
+
+    // Swap C and D the way moveCol() does.
+    app.rows.forEach((row) => {
+        const cell = row[2];
+        row[2] = row[3];
+        row[3] = cell;
+    });
+    app.cols.splice(2, 2, app.cols[3], app.cols[2]);
+    app.cols[4].formula = engine.remapColumns(app.cols[4].formula, moveMap(2, 1));
+    engine.recalcAll(app);
+
+    assert.deepStrictEqual(app.rows.map((row) => row[4]), before);
+});
@@ -0,0 +1,66 @@
+/**
+ * Undo history tests. Run with: node --test tests/js/
+ *
+ * @package LiteStats\Pro
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * A fresh state manager and a two-column table of `count` rows, recorded
+ * as the starting point.
+ */
+function setup(count) {
+    const window = {};
+    // Same realm as the test, so the arrays it returns compare with deepStrictEqual.
+    const source = fs.readFileSync(path.join(__dirname, '../../assets/js/modules/state.js'), 'utf8');
+    vm.runInThisContext('(function(window) {' + source + '\n})')(window);
+    const app = { cols: [{ id: 'a' }, { id: 'b' }], rows: [], settings: {} };
+    for (let r = 0; r < count; r++) app.rows.push([r, r * 2]);
+    window.LiteStatsState.commit(app);
+    return { state: window.LiteStatsState, app: app };
+}
+
+test('a label is used for one entry only', () => {
+    const { state, app } = setup(3);
+    state.saveState(app, 'Edited A1');
+    app.rows[0][0] = 10;
+    state.commit(app);
+    app.rows[1][0] = 11;
+    state.commit(app);
+
+    assert.deepStrictEqual(state.getEntries().labels, ['Edited A1', '']);
+});
+
+test('the oldest entries are dropped when the patches hold too many values', () => {
+    const { state, app } = setup(1000);
+    state.MAX_HISTORY_VALUES = 10000;
+    for (let k = 0; k < 5; k++) {
+        state.saveState(app, 'Sorted ' + k);
+        app.rows.reverse();
+    }
+    state.commit(app);
+
+    // Each reversal stores the 2000 values before and after it.
+    assert.deepStrictEqual(state.getEntries(), { labels: ['Sorted 3', 'Sorted 4'], position: 2, dropped: 3 });
+    while (state.undo(app));
+    assert.deepStrictEqual(app.rows[0], [999, 1998]);
+});
+
+test('the newest entry is kept even when it is over budget', () => {
+    const { state, app } = setup(100);
+    state.MAX_HISTORY_VALUES = 10;
+    state.saveState(app, 'Sorted');
+    app.rows.reverse();
+    state.commit(app);
+
+    assert.deepStrictEqual(state.getEntries().labels, ['Sorted']);
+    assert.ok(state.undo(app));
+    assert.deepStrictEqual(app.rows[0], [0, 0]);
+});
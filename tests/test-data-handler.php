@@ -0,0 +1,57 @@
+<?php
+/**
+ * DataHandler tests.
+ *
+ * @package LiteStats\Pro
+ */
+
+use LiteStats\Pro\DataHandler;
+
+/**
+ * Test_Data_Handler class.
+ */
+class Test_Data_Handler extends WP_UnitTestCase {
+
+    /**
+     * Criteria in formulas survive a save: "<", ">" and quotes are kept.
+     */
+    public function test_sanitize_config_keeps_formula_criteria() {
+        $handler = new DataHandler();
+        $config  = [
+            'cols' => [
+                [
+                    'id'      => 'c3',
+                    'name'    => 'Small',
+                    'type'    => 'formula',
+                    'formula' => '=SUMIF(A,"<100",B)',
+                    'props'   => [ 'footer' => '=COUNTIF(A,"<>EU")' ],
+                ],
+            ],
+        ];
+
+        $sanitized = $handler->sanitize_config( $config );
+        $this->assertSame( '=SUMIF(A,"<100",B)', $sanitized['cols'][0]['formula'] );
+        $this->assertSame( '=COUNTIF(A,"<>EU")', $sanitized['cols'][0]['props']['footer'] );
+
+        // Saving the sanitized config again changes nothing.
+        $this->assertSame( $sanitized, $handler->sanitize_config( $sanitized ) );
+    }
+
+    /**
+     * Control characters are removed from formulas.
+     */
+    public function test_sanitize_config_strips_control_characters_from_formulas() {
+        $handler   = new DataHandler();
+        $sanitized = $handler->sanitize_config(
+            [
+                'cols' => [
+                    [
+                        'type'    => 'formula',
+                        'formula' => "=A\x00+B\x1F",
+                    ],
+                ],
+            ]
+        );
+        $this->assertSame( '=A+B', $sanitized['cols'][0]['formula'] );
+    }
+}